@@ -25,81 +25,533 @@
 /**
  * @typedef {Object} GCSecretManagerConfig
  * @property {string} project Google Cloud Project ID.
- * @property {string} version Secret version. Default: `latest`.
+ * @property {string[]} projects Projects to get the secrets from when they do not exist
+ * in `project`, in order. Default: `null`.
+ * @property {Object<string, GCSecretManagerConfig>} profiles Configurations by profile name,
+ * e.g. `dev` and `prod`, applied over the other options. Default: `null`.
+ * @property {string} profile Active profile. Default: `null` (the value of the script property
+ * named `profileProperty`).
+ * @property {string} profileProperty Script property with the active profile.
+ * Default: `GCSECRETMANAGER_PROFILE`.
+ * @property {GoogleAppsScript.Properties.Properties|Object<string, string>} properties
+ * Properties to read `profileProperty` and the encryption `keyProperty` from, e.g. `PropertiesService.getScriptProperties()`
+ * of the calling script when GCSecretManager is used as a library, or values by property.
+ * Default: `null` (the script properties of the script running GCSecretManager).
+ * @property {string|number} version Secret version: a number, `latest` or an alias prefixed
+ * with `@`, e.g. `@prod`. Default: `latest`.
+ * @property {string} location Location of regional secrets, e.g. `europe-west1`.
+ * Default: `null` (global secrets).
+ * @property {string} format Format of the retrieved secret values:
+ * `string`, `bytes`, `json` or `blob`. Default: `string`.
+ * @property {boolean|GCSecretManagerCacheConfig} cache Cache configuration. Default: `null` (disabled).
+ * @property {boolean} throwIfMissing Throw `SecretNotFoundError` instead of returning `undefined`
+ * if the secret or its version does not exist. Default: `false`.
+ * @property {boolean|GCSecretManagerRetryConfig} retry Retry policy for transient errors.
+ * Default: `null` (disabled).
+ * @property {number} batchSize Maximum number of requests sent at once by `getMany` and `setMany`.
+ * Default: `50`.
+ * @property {GCSecretManagerSecretOptions} secretOptions Options of the secrets created by `set`
+ * and `setMany`. Default: `null` (automatic replication).
+ * @property {boolean} ifChanged Skip writing the values equal to the latest version of the secret
+ * in `set` and `setMany`. Default: `false`.
+ * @property {GCSecretManagerAuth} auth Source of the access tokens.
+ * Default: `null` (the token of the user running the script).
+ * @property {string} apiEndpoint Base URL of the Secret Manager API, e.g. `http://localhost:8080`
+ * for a local emulator. Default: `null` (the global or regional Google endpoint).
+ * @property {GCSecretManagerTransport} transport Transport of the requests.
+ * Default: `null` (`UrlFetchApp` and `ScriptApp`).
+ * @property {GCSecretManagerCodec} codec Encoding functions. Default: `null` (`Utilities`).
+ * @property {GCSecretManagerEncryptionConfig} encryption Encrypt the secret values before they are
+ * sent to the Secret Manager. Default: `null` (disabled).
+ * @property {boolean} wrap Return the secret values wrapped in `SecretValue`, which hides them
+ * from logs until `reveal()` is called. Default: `false`.
+ * @property {GCSecretManagerHooks|GCSecretManagerHooks[]} hooks Functions called on the requests,
+ * reads, writes and errors, e.g. `createAuditLog()`. Default: `null`.
+ * @property {boolean} dryRun Plan the writes without sending them: `set`, `setMany`,
+ * `createSecret` and the other write operations only read the secrets and return
+ * `GCSecretManagerPlanStep` objects. Default: `false`.
+ */
+
+/**
+ * Lifecycle hooks. Errors thrown by the hooks are not caught.
+ * @typedef {Object} GCSecretManagerHooks
+ * @property {function({url: string, params: Object}): void} onBeforeRequest Called before
+ * a request is sent with its `UrlFetchApp.fetch` parameters, which it can modify, e.g. to add
+ * headers. The parameters contain the access token and the values of new secret versions.
+ * @property {function(GCSecretManagerEvent): void} onAccess Called after a secret value is read.
+ * @property {function(GCSecretManagerEvent): void} onWrite Called after a secret or
+ * a secret version is created, updated or deleted.
+ * @property {function(GCSecretManagerEvent): void} onError Called when an operation fails.
+ */
+
+/**
+ * Operation on a secret. Never contains the secret value.
+ * @typedef {Object} GCSecretManagerEvent
+ * @property {string} operation Operation, e.g. `get`, `set` or `destroyVersion`.
+ * @property {string} project Google Cloud Project ID.
+ * @property {string} location Location of regional secrets, `null` for global secrets.
+ * @property {string} key Secret key, `null` if the operation is not specific to a secret.
+ * @property {string|number} version Secret version, `null` if the operation is not specific
+ * to a version.
+ * @property {string} outcome `success`, `unchanged` for a skipped write, `not_found`
+ * for a missing secret or `error`.
+ * @property {Error} error Error of a failed operation.
+ */
+
+/**
+ * Write planned by an operation in the `dryRun` mode.
+ * @typedef {Object} GCSecretManagerPlanStep
+ * @property {string} operation Operation, e.g. `set` or `destroyVersion`.
+ * @property {string} project Google Cloud Project ID.
+ * @property {string} location Location of regional secrets, `null` for global secrets.
+ * @property {string} key Secret key.
+ * @property {string|number} version Secret version, `null` if the operation is not specific
+ * to a version.
+ * @property {string} action `create` for a new secret, with its first version when it is set,
+ * `addVersion` for a new version of an existing secret, `update` for changed aliases and
+ * version states, `delete` for deleted secrets and destroyed versions, or `unchanged`
+ * if nothing would be written.
+ * @property {boolean} changed Whether the value differs from the latest version.
+ * Only in the steps of `set` and `setMany`.
+ */
+
+/**
+ * Sends the HTTP requests and provides the environment services. The responses must implement
+ * `getResponseCode()`, `getContentText()` and `getHeaders()` like `UrlFetchApp.HTTPResponse`.
+ * Missing functions fall back to the Apps Script ones.
+ * @typedef {Object} GCSecretManagerTransport
+ * @property {function(string, Object): UrlFetchApp.HTTPResponse} fetch Send a request
+ * with `UrlFetchApp.fetch` parameters.
+ * @property {function(Object[]): UrlFetchApp.HTTPResponse[]} fetchAll Send the requests
+ * with `UrlFetchApp.fetchAll` parameters.
+ * @property {function(): string} getOAuthToken Get the default access token.
+ * @property {function(number): void} sleep Wait for the given number of milliseconds.
+ * @property {function(string): ?string} getProperty Get a script property.
+ */
+
+/**
+ * Encodes the data. Bytes are arrays of signed integers like in Apps Script.
+ * Missing functions fall back to the Apps Script ones.
+ * @typedef {Object} GCSecretManagerCodec
+ * @property {function((string|number[])): string} base64Encode Encode in base64.
+ * @property {function((string|number[])): string} base64EncodeWebSafe Encode in web-safe base64.
+ * @property {function(string): number[]} base64Decode Decode base64.
+ * @property {function(string): number[]} stringToBytes Encode a string as UTF-8.
+ * @property {function(number[]): string} bytesToString Decode UTF-8 bytes to a string.
+ * @property {function(number[]): GoogleAppsScript.Base.Blob} newBlob Create a Blob of the bytes.
+ * @property {function(number[], number[]): number[]} computeHmacSha256Signature Sign with HMAC-SHA256.
+ * @property {function(string, string): number[]} computeRsaSha256Signature Sign with RSA-SHA256
+ * using a PEM private key.
+ * @property {function(): string} getUuid Generate a random UUID.
+ */
+
+/**
+ * Either a function returning an access token, or a service account key as downloaded
+ * from Google Cloud Console, as an object or a JSON string. The function can return
+ * the token as a string or as `{ accessToken, expiresIn }` to cache it for `expiresIn` seconds.
+ * @typedef {function(): (string|{accessToken: string, expiresIn: number})|Object|string} GCSecretManagerAuth
+ */
+
+/**
+ * Options of a new secret. See https://cloud.google.com/secret-manager/docs/reference/rest/v1/projects.secrets
+ * @typedef {Object} GCSecretManagerSecretOptions
+ * @property {Object} replication Replication policy, either `{ automatic: {} }` or
+ * `{ userManaged: { replicas: [{ location, customerManagedEncryption: { kmsKeyName } }] } }`.
+ * Default: `{ automatic: {} }`. Not supported by regional secrets.
+ * @property {Object<string, string>} labels Labels.
+ * @property {Object<string, string>} annotations Annotations.
+ * @property {number|string} ttl Time to live of the secret, in seconds or as a duration, e.g. `"86400s"`.
+ * @property {Date|string} expireTime Time when the secret is deleted. Cannot be used with `ttl`.
+ * @property {string[]} topics Pub/Sub topics for notifications, e.g. `projects/p/topics/t`.
+ * @property {Object} rotation Rotation schedule: `nextRotationTime` and `rotationPeriod`. Requires `topics`.
+ * @property {Object<string, number>} versionAliases Version numbers by alias.
+ */
+
+/**
+ * @typedef {Object} GCSecretManagerCacheConfig
+ * @property {number} ttl Time to live of the cached values in seconds. Default: `300`.
+ * @property {GoogleAppsScript.Cache.Cache} cacheService Optional `CacheService` cache to share
+ * the values between executions, e.g. `CacheService.getScriptCache()`. Default: `null`.
+ * @property {string} encryptionKey Key to encrypt the values stored in `cacheService`.
+ * Required if `cacheService` is set.
+ * @property {string} prefix Prefix of the `cacheService` keys. Default: `GCSecretManager`.
+ */
+
+/**
+ * Client-side envelope encryption: each value is encrypted with a random data key, which is
+ * encrypted with a local key or a Cloud KMS key. Set either `key`, `keyProperty` or `kmsKeyName`.
+ * @typedef {Object} GCSecretManagerEncryptionConfig
+ * @property {string} key Key to encrypt the data keys: at least 32 random bytes encoded
+ * in base64, e.g. generated with `openssl rand -base64 32`. Default: `null`.
+ * @property {string} keyProperty Script property with the key, read from the `properties`
+ * option if it is set. Default: `null`.
+ * @property {string[]} previousKeys Keys replaced by `key`, to decrypt the values encrypted
+ * before the rotation. Default: `[]`.
+ * @property {string} kmsKeyName Cloud KMS key to encrypt the data keys,
+ * e.g. `projects/p/locations/global/keyRings/r/cryptoKeys/k`. Default: `null`.
+ */
+
+/**
+ * @typedef {Object} GCSecretManagerRetryConfig
+ * @property {number} maxAttempts Maximum number of attempts, including the first one. Default: `3`.
+ * @property {number} baseDelay Delay before the first retry in milliseconds,
+ * doubled with each next retry. Default: `500`.
+ * @property {number} maxDelay Maximum delay between attempts in milliseconds. Default: `32000`.
+ * @property {number} jitter Share of the delay, from `0` to `1`, that is randomized. Default: `0.5`.
+ * @property {number[]} retryableStatusCodes HTTP status codes to retry.
+ * Default: `[429, 500, 502, 503, 504]`.
+ * @property {boolean} retryNonIdempotent Retry requests that may have a side effect if repeated,
+ * e.g. adding a secret version. Default: `false`.
  */
 
 const DEFAULT_CONFIG = {
     project: null,
+    projects: null,
+    profiles: null,
+    profile: null,
+    profileProperty: "GCSECRETMANAGER_PROFILE",
+    properties: null,
     version: "latest",
+    location: null,
+    format: "string",
+    cache: null,
+    throwIfMissing: false,
+    retry: null,
+    batchSize: 50,
+    secretOptions: null,
+    ifChanged: false,
+    auth: null,
+    apiEndpoint: null,
+    transport: null,
+    codec: null,
+    encryption: null,
+    wrap: false,
+    hooks: null,
+    dryRun: false,
 };
 
+const DEFAULT_CACHE_CONFIG = {
+    ttl: 300,
+    cacheService: null,
+    encryptionKey: null,
+    prefix: "GCSecretManager",
+};
+
+const DEFAULT_ENCRYPTION_CONFIG = {
+    key: null,
+    keyProperty: null,
+    previousKeys: [],
+    kmsKeyName: null,
+};
+
+const DEFAULT_RETRY_CONFIG = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 32000,
+    jitter: 0.5,
+    retryableStatusCodes: [429, 500, 502, 503, 504],
+    retryNonIdempotent: false,
+};
+
+const API_URL = "https://secretmanager.googleapis.com/v1";
+
+const KMS_API_URL = "https://cloudkms.googleapis.com/v1";
+
+// Version of the format of the encrypted values, increased on incompatible changes
+const ENVELOPE_VERSION = 1;
+
+// Local encryption keys are encoded in standard base64
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Version of the format of the bundles of `exportSecrets`
+const BUNDLE_VERSION = 1;
+
+const SECRET_FORMATS = ["string", "bytes", "json", "blob"];
+
+// States of the secret versions after the state changes
+const VERSION_STATES_ = { disable: "DISABLED", enable: "ENABLED", destroy: "DESTROYED" };
+
+// Naming rules of the Secret Manager and Google Cloud
+const SECRET_ID_PATTERN = /^[a-zA-Z0-9_-]{1,255}$/;
+// Project IDs, optionally domain-scoped, e.g. `example.com:project-id`, and project numbers
+const PROJECT_ID_PATTERN =
+    /^(?:[a-z][a-z0-9.-]{0,61}[a-z0-9]:)?(?:[a-z][a-z0-9-]{4,28}[a-z0-9]|\d{1,19})$/;
+// Version numbers, `latest` and aliases, with or without `@`
+const VERSION_PATTERN = /^(?:[1-9]\d*|@?[a-zA-Z_-][a-zA-Z0-9_-]{0,62})$/;
+const RESOURCE_NAME_PATTERN =
+    /^projects\/([^/]+)\/(?:locations\/([^/]+)\/)?secrets\/([^/]+)(?:\/versions\/([^/]+))?$/;
+
+const OAUTH_SCOPE = "https://www.googleapis.com/auth/cloud-platform";
+
+const DEFAULT_TOKEN_URI = "https://oauth2.googleapis.com/token";
+
+// Tokens are renewed a bit before they expire to not fail requests in flight
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+// Service account tokens by client email, shared by all instances during the execution
+const SERVICE_ACCOUNT_TOKENS_ = new Map();
+
+// Annotation with the time of the last rotation by `rotate`
+const LAST_ROTATION_ANNOTATION = "gcsecretmanager-last-rotation-time";
+
+// Annotation with the versions disabled by `rotate`, the only ones destroyed with `destroyAfter`
+const ROTATED_VERSIONS_ANNOTATION = "gcsecretmanager-rotated-versions";
+
+// Annotation with the last source version copied by `copySecrets` and `importSecrets`
+const COPY_SOURCE_ANNOTATION = "gcsecretmanager-copied-from";
+
+// Columns of the audit log sheet, in order
+const AUDIT_LOG_COLUMNS_ = [
+    "timestamp",
+    "user",
+    "operation",
+    "project",
+    "location",
+    "key",
+    "version",
+    "outcome",
+    "error",
+];
+
+// Replacement of the secret values in logs
+const REDACTED = "[REDACTED]";
+
+// Values of the SecretValue instances, kept out of their properties so that they are not logged
+const SECRET_VALUES_ = new WeakMap();
+
+// CacheService does not keep values longer than 6 hours
+const MAX_CACHE_SERVICE_TTL = 21600;
+
+// The globals are resolved on each call, so the library loads outside of Apps Script
+const APPS_SCRIPT_TRANSPORT_ = {
+    fetch: (url, params) => UrlFetchApp.fetch(url, params),
+    fetchAll: (requests) => UrlFetchApp.fetchAll(requests),
+    getOAuthToken: () => ScriptApp.getOAuthToken(),
+    sleep: (milliseconds) => Utilities.sleep(milliseconds),
+    getProperty: (name) => PropertiesService.getScriptProperties().getProperty(name),
+};
+
+const APPS_SCRIPT_CODEC_ = {
+    base64Encode: (data) => Utilities.base64Encode(data),
+    base64EncodeWebSafe: (data) => Utilities.base64EncodeWebSafe(data),
+    base64Decode: (encoded) => Utilities.base64Decode(encoded),
+    stringToBytes: (text) => Utilities.newBlob(text).getBytes(),
+    bytesToString: (bytes) => Utilities.newBlob(bytes).getDataAsString(),
+    newBlob: (bytes) => Utilities.newBlob(bytes),
+    computeHmacSha256Signature: (value, key) => Utilities.computeHmacSha256Signature(value, key),
+    computeRsaSha256Signature: (value, key) => Utilities.computeRsaSha256Signature(value, key),
+    getUuid: () => Utilities.getUuid(),
+};
+
+// Runs in a child process of the Node.js adapter: the library is synchronous, and Node.js
+// has no synchronous HTTP client, so the requests are sent by a process the adapter waits for
+const NODE_FETCH_SCRIPT_ = `
+let input = "";
+process.stdin.on("data", (chunk) => (input += chunk));
+process.stdin.on("end", () =>
+    Promise.all(
+        JSON.parse(input).map(async ({ url, ...init }) => {
+            const response = await fetch(url, init);
+            const headers = Object.fromEntries(response.headers);
+            return { status: response.status, headers, body: await response.text() };
+        })
+    )
+        .then((responses) => process.stdout.write(JSON.stringify(responses)))
+        .catch((error) => {
+            process.stderr.write((error.cause || error).message);
+            process.exitCode = 1;
+        })
+);
+`;
+
 /**
  * Initialize the GCSecretManager with the given configuration.
  * @param {GCSecretManagerConfig} config Configuration object.
  * Supported options:
  * - `project`: Google Cloud Project ID. Required.
+ * - `projects`: Projects to fall back to if a secret does not exist in `project`. Default: `null`.
+ * - `profiles`: Configurations by profile name. Default: `null`.
+ * - `profile`: Active profile. Default: `null` (read from the `profileProperty` script property).
+ * - `profileProperty`: Script property with the active profile. Default: `GCSECRETMANAGER_PROFILE`.
+ * - `properties`: Properties to read `profileProperty` and `keyProperty` from. Default: `null` (the script properties).
  * - `version`: Secret version. Default: `latest`.
+ * - `location`: Location of regional secrets, e.g. `europe-west1`. Default: `null` (global secrets).
+ * - `format`: Format of the retrieved secret values: `string`, `bytes`, `json` or `blob`. Default: `string`.
+ * - `cache`: Cache configuration, `true` to use the defaults. Default: `null` (disabled).
+ * - `throwIfMissing`: Throw `SecretNotFoundError` if the secret does not exist. Default: `false`.
+ * - `retry`: Retry policy for transient errors, `true` to use the defaults. Default: `null` (disabled).
+ * - `batchSize`: Maximum number of requests sent at once. Default: `50`.
+ * - `secretOptions`: Options of the secrets created by `set`. Default: `null` (automatic replication).
+ * - `ifChanged`: Skip writing the values equal to the latest version. Default: `false`.
+ * - `auth`: Token provider function or service account key. Default: `null` (the user running the script).
+ * - `apiEndpoint`: Base URL of the Secret Manager API, e.g. of a local emulator. Default: `null`.
+ * - `transport`: Transport of the requests. Default: `null` (`UrlFetchApp`).
+ * - `codec`: Encoding functions. Default: `null` (`Utilities`).
+ * - `encryption`: Encrypt the values with a local or Cloud KMS key. Default: `null` (disabled).
+ * - `wrap`: Return the secret values wrapped in `SecretValue`. Default: `false`.
+ * - `hooks`: Functions called on the requests, reads, writes and errors. Default: `null`.
+ * - `dryRun`: Plan the writes without sending them. Default: `false`.
  * @returns {GCSecretManager} GCSecretManager instance.
  */
 function init(config = {}) {
-    return new GCSecretManager({ ...DEFAULT_CONFIG, ...config });
+    return new GCSecretManager(applyProfile_({ ...DEFAULT_CONFIG, ...config }));
 }
 
 /**
  * Get the secret value for the given key.
- * @param {string} key Secret key.
+ * @param {string} key Secret key or resource name, e.g. `projects/p/secrets/s/versions/3`.
+ * The project, location and version of a resource name take precedence over the configuration.
  * @param {GCSecretManagerConfig} config Configuration object.
  * Supported options:
  * - `project`: Google Cloud Project ID. Required.
+ * - `projects`: Projects to fall back to if the secret does not exist in `project`. Default: `null`.
  * - `version`: Secret version. Default: `latest`.
- * @returns {string} Secret value.
+ * - `format`: Format of the secret value: `string`, `bytes`, `json` or `blob`. Default: `string`.
+ * - `throwIfMissing`: Throw `SecretNotFoundError` if the secret does not exist. Default: `false`.
+ * - `wrap`: Return the value wrapped in `SecretValue`. Default: `false`.
+ * @returns {string|number[]|Object|GoogleAppsScript.Base.Blob|SecretValue|undefined} Secret value
+ * or `undefined` if the secret does not exist.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
  */
 function get(key, config = {}) {
     return init(config).get(key);
 }
 
 /**
- * Set the secret value for the given key.
+ * @typedef {Object} GCSecretManagerSourcedValue
+ * @property {string|number[]|Object|GoogleAppsScript.Base.Blob|SecretValue|undefined} value
+ * Secret value or `undefined` if the secret does not exist.
+ * @property {string} project Project the value comes from, `null` if the secret does not exist.
+ */
+
+/**
+ * Get the secret value for the given key with the project it comes from, which is useful
+ * with the `projects` fallback.
  * @param {string} key Secret key.
- * @param {string} value Secret value.
+ * @param {GCSecretManagerConfig} config Configuration object, see `get`.
+ * @returns {GCSecretManagerSourcedValue} Secret value and its project.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function getWithSource(key, config = {}) {
+    return init(config).getWithSource(key);
+}
+
+/**
+ * Set the secret value for the given key.
+ * @param {string} key Secret key or resource name, e.g. `projects/p/secrets/s`.
+ * @param {string|number[]|Object|GoogleAppsScript.Base.Blob|SecretValue} value Secret value:
+ * a string, a byte array, a Blob, a plain object stored as JSON or a `SecretValue`.
  * @param {GCSecretManagerConfig} config Configuration object.
  * Supported options:
  * - `project`: Google Cloud Project ID. Required.
  * - `version`: Secret version. Default: `latest`.
- * @returns {void}
- * @throws {Error} If the Secret Manager API returns an unexpected response code.
+ * - `secretOptions`: Options of the secret if it is created. Default: `null` (automatic replication).
+ * - `ifChanged`: Skip the write if the value equals the latest version. Default: `false`.
+ * - `dryRun`: Return the planned write instead of sending it. Default: `false`.
+ * @returns {boolean|GCSecretManagerPlanStep} `true` if a new version is added, `false`
+ * if the value has not changed, or the planned write with `dryRun`.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
  * @throws {Error} If the Google Cloud Project ID is not provided.
  */
 function set(key, value, config = {}) {
     return init(config).set(key, value);
 }
 
+/**
+ * @typedef {Object} GCSecretManagerGetManyResult
+ * @property {Object<string, *>} values Secret values by key,
+ * `undefined` if the secret does not exist.
+ * @property {Object<string, SecretManagerApiError>} errors Errors by key.
+ * @property {Object<string, string>} sources Projects the values come from by key.
+ */
+
+/**
+ * Get the secret values for the given keys. The requests are sent in parallel.
+ * Failure to get one secret does not affect the others, its error is returned in `errors`.
+ * @param {string[]} keys Secret keys.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * - `projects`: Projects to fall back to if a secret does not exist in `project`. Default: `null`.
+ * - `version`: Secret version. Default: `latest`.
+ * - `format`: Format of the secret values: `string`, `bytes`, `json` or `blob`. Default: `string`.
+ * - `throwIfMissing`: Report missing secrets in `errors`. Default: `false`.
+ * - `batchSize`: Maximum number of requests sent at once. Default: `50`.
+ * - `wrap`: Return the values wrapped in `SecretValue`. Default: `false`.
+ * @returns {GCSecretManagerGetManyResult} Secret values and errors by key.
+ * @throws {Error} If the Google Cloud Project ID is not provided.
+ */
+function getMany(keys, config = {}) {
+    return init(config).getMany(keys);
+}
+
+/**
+ * @typedef {Object} GCSecretManagerSetManyResult
+ * @property {Object<string, string>} versions Resource names of the created versions by key.
+ * @property {Object<string, SecretManagerApiError>} errors Errors by key.
+ * @property {string[]} unchanged Keys skipped with `ifChanged` as their values have not changed.
+ */
+
+/**
+ * @typedef {Object} GCSecretManagerSetManyPlan
+ * @property {Object<string, GCSecretManagerPlanStep>} plan Planned writes by key.
+ * @property {Object<string, SecretManagerApiError>} errors Errors by key.
+ */
+
+/**
+ * Set the secret values for the given keys. The requests are sent in parallel.
+ * Missing secrets are created. Failure to set one secret does not affect the others,
+ * its error is returned in `errors`.
+ * @param {Object<string, string|number[]|Object|GoogleAppsScript.Base.Blob>} values Secret values by key.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * - `batchSize`: Maximum number of requests sent at once. Default: `50`.
+ * - `secretOptions`: Options of the secrets if they are created. Default: `null` (automatic replication).
+ * - `ifChanged`: Skip the values equal to the latest versions. Default: `false`.
+ * - `dryRun`: Return the planned writes instead of sending them. Default: `false`.
+ * @returns {GCSecretManagerSetManyResult|GCSecretManagerSetManyPlan} Created versions
+ * and errors by key, or the planned writes with `dryRun`.
+ * @throws {Error} If the Google Cloud Project ID is not provided.
+ */
+function setMany(values, config = {}) {
+    return init(config).setMany(values);
+}
+
 /**
  * Get the secret value for the given key.
  * @param {string} project Google Cloud Project ID.
- * @param {string} key Secret key.
+ * @param {string} key Secret key or resource name, e.g. `projects/p/secrets/s/versions/3`.
+ * The project, location and version of a resource name take precedence over the arguments.
  * @param {string} [version="latest"] Secret version. Default: `latest`.
- * @returns {string} Secret value.
+ * @param {string} [format="string"] Format of the secret value:
+ * `string`, `bytes`, `json` or `blob`. Default: `string`.
+ * @returns {string|number[]|Object|GoogleAppsScript.Base.Blob|undefined} Secret value
+ * or `undefined` if the secret does not exist.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
  */
-function getSecret(project, key, version = "latest") {
-    return init().getSecret(project, key, version);
+function getSecret(project, key, version = "latest", format = "string") {
+    return init().getSecret(project, key, version, format);
 }
 
 /**
  * Create a new secret with the given key.
  * @param {string} project Google Cloud Project ID.
  * @param {string} key Secret key.
+ * @param {GCSecretManagerSecretOptions} [options] Secret options: replication, labels, etc.
  * @returns {UrlFetchApp.HTTPResponse} HTTP response.
+ * @throws {Error} If the options are invalid.
  */
-function createSecret(project, key) {
-    return init().createSecret(project, key);
+function createSecret(project, key, options = {}) {
+    return init().createSecret(project, key, options);
 }
 
 /**
  * Create a new secret version with the given value.
  * @param {string} project Google Cloud Project ID.
  * @param {string} key Secret key.
- * @param {string} value Secret value.
+ * @param {string|number[]|Object|GoogleAppsScript.Base.Blob|SecretValue} value Secret value:
+ * a string, a byte array, a Blob, a plain object stored as JSON or a `SecretValue`.
  * @returns {UrlFetchApp.HTTPResponse} HTTP response.
  */
 function createSecretVersion(project, key, value) {
@@ -118,116 +570,3548 @@ function setProject(project) {
 
 /**
  * Set the secret version.
- * @param {string|number} version Secret version.
+ * @param {string|number} version Secret version: a number, `latest` or an alias, e.g. `@prod`.
  * @returns {GCSecretManager} GCSecretManager instance.
  */
 function setVersion(version) {
     return init().setVersion(version);
 }
 
-class GCSecretManager {
-    constructor(config = DEFAULT_CONFIG) {
-        this.config_ = config;
-    }
+/**
+ * @typedef {Object} GCSecretManagerListOptions
+ * @property {string} filter Filter expression, e.g. `labels.env=prod`.
+ * See https://cloud.google.com/secret-manager/docs/filtering.
+ * @property {number} pageSize Number of results per request. Default: `100`.
+ */
 
-    setProject(project) {
-        this.config_.project = project;
-        return this;
-    }
+/**
+ * List all secrets in the project. Requests the next pages automatically.
+ * @param {string} project Google Cloud Project ID.
+ * @param {GCSecretManagerListOptions} [options] List options.
+ * @returns {Object[]} Secrets metadata.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function listSecrets(project, options = {}) {
+    return init().listSecrets(project, options);
+}
 
-    setVersion(version) {
-        this.config_.version = version;
-        return this;
-    }
+/**
+ * Get the metadata of the secret: labels, replication, creation time, etc.
+ * @param {string} project Google Cloud Project ID.
+ * @param {string} key Secret key.
+ * @returns {Object|undefined} Secret metadata or `undefined` if the secret does not exist.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function getSecretMetadata(project, key) {
+    return init().getSecretMetadata(project, key);
+}
 
-    get(key, config = {}) {
-        const mergedConfig = this.getConfig_(config);
-        return this.getSecret(mergedConfig.project, key, mergedConfig.version);
-    }
+/**
+ * Delete the secret with all its versions.
+ * @param {string} project Google Cloud Project ID.
+ * @param {string} key Secret key.
+ * @param {Object} [options] Options.
+ * @param {string} [options.etag] Etag of the secret from its metadata. If the secret has changed
+ * since, it is not deleted and `ConflictError` is thrown.
+ * @returns {void}
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function deleteSecret(project, key, options = {}) {
+    return init().deleteSecret(project, key, options);
+}
 
-    set(key, value, config = {}) {
-        const mergedConfig = this.getConfig_(config);
-        const createSecretResponse = this.createSecret(mergedConfig.project, key);
-        if (![200, 409].includes(createSecretResponse.getResponseCode()))
-            throw Error(
-                `Unexpected response code from the Secret Manager when creating a new secret: ${createSecretResponse.getResponseCode()}`
-            );
-        const createSecretVersionResponse = this.createSecretVersion(mergedConfig.project, key, value);
-        if (createSecretVersionResponse.getResponseCode() !== 200) {
-            throw Error(
-                `Unexpected response code from the Secret Manager when creating a secret version: ${createSecretVersionResponse.getResponseCode()}`
-            );
-        }
-    }
+/**
+ * List all versions of the secret. Requests the next pages automatically.
+ * @param {string} project Google Cloud Project ID.
+ * @param {string} key Secret key.
+ * @param {GCSecretManagerListOptions} [options] List options.
+ * @returns {Object[]} Secret versions metadata.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function listVersions(project, key, options = {}) {
+    return init().listVersions(project, key, options);
+}
 
-    getSecret(project, key, version = "latest") {
-        const response = UrlFetchApp.fetch(
-            `https://secretmanager.googleapis.com/v1/projects/${project}/secrets/${key}/versions/${version}:access`,
-            {
-                muteHttpExceptions: true,
-                headers: {
-                    Authorization: "Bearer " + ScriptApp.getOAuthToken(),
-                    Accept: "application/json",
-                },
-            }
-        );
-        // Return undefined if no secret is found
-        const responseCode = response.getResponseCode();
-        if (responseCode === 403) throw new Error("Permission denied");
-        if (responseCode === 404) return undefined;
-        const decodedData = Utilities.base64Decode(
-            JSON.parse(response.getContentText())["payload"]["data"]
-        );
-        return Utilities.newBlob(decodedData).getDataAsString();
-    }
+/**
+ * Disable the secret version. Disabled versions cannot be accessed but can be enabled again.
+ * @param {string} project Google Cloud Project ID.
+ * @param {string} key Secret key.
+ * @param {string|number} version Secret version.
+ * @param {Object} [options] Options.
+ * @param {string} [options.etag] Etag of the version from its metadata. If the version has changed
+ * since, its state is not changed and `ConflictError` is thrown.
+ * @returns {Object} Secret version metadata.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function disableVersion(project, key, version, options = {}) {
+    return init().disableVersion(project, key, version, options);
+}
 
-    createSecret(project, key) {
-        const payload = {
-            replication: {
-                automatic: {},
-            },
-        };
-        return UrlFetchApp.fetch(
-            `https://secretmanager.googleapis.com/v1/projects/${project}/secrets?secretId=${key}`,
-            {
-                method: "POST",
-                muteHttpExceptions: true,
-                payload: JSON.stringify(payload),
-                contentType: "application/json",
-                headers: {
-                    Authorization: "Bearer " + ScriptApp.getOAuthToken(),
-                    Accept: "application/json",
-                },
-            }
-        );
-    }
+/**
+ * Enable the disabled secret version.
+ * @param {string} project Google Cloud Project ID.
+ * @param {string} key Secret key.
+ * @param {string|number} version Secret version.
+ * @param {Object} [options] Options.
+ * @param {string} [options.etag] Etag of the version from its metadata. If the version has changed
+ * since, its state is not changed and `ConflictError` is thrown.
+ * @returns {Object} Secret version metadata.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function enableVersion(project, key, version, options = {}) {
+    return init().enableVersion(project, key, version, options);
+}
 
-    createSecretVersion(project, key, value) {
-        const payload = {
-            payload: {
-                data: Utilities.base64Encode(value),
-            },
-        };
-        return UrlFetchApp.fetch(
-            `https://secretmanager.googleapis.com/v1/projects/${project}/secrets/${key}:addVersion`,
-            {
-                method: "POST",
-                muteHttpExceptions: true,
-                payload: JSON.stringify(payload),
-                contentType: "application/json",
-                headers: {
-                    Authorization: "Bearer " + ScriptApp.getOAuthToken(),
-                    Accept: "application/json",
-                },
-            }
-        );
-    }
+/**
+ * Destroy the secret version. The value is irreversibly deleted.
+ * @param {string} project Google Cloud Project ID.
+ * @param {string} key Secret key.
+ * @param {string|number} version Secret version.
+ * @param {Object} [options] Options.
+ * @param {string} [options.etag] Etag of the version from its metadata. If the version has changed
+ * since, its state is not changed and `ConflictError` is thrown.
+ * @returns {Object} Secret version metadata.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function destroyVersion(project, key, version, options = {}) {
+    return init().destroyVersion(project, key, version, options);
+}
 
-    getConfig_(config) {
-        const mergedConfig = { ...DEFAULT_CONFIG, ...this.config_, ...config };
-        if (!mergedConfig.project) throw new Error("Google Cloud Project is required");
-        return mergedConfig;
+/**
+ * Rotate the secret: generate a new value from the current one and add it as a new version.
+ * The time of the rotation is stored in the secret annotations for `dueForRotation`.
+ * @param {string} key Secret key.
+ * @param {function(*, Object): *} generator Function called with the current value in `project`,
+ * without the `projects` fallback (`undefined` if the secret has no versions), and the secret
+ * metadata, returning the new value.
+ * @param {Object} [options] Rotation options.
+ * @param {function(*, Object): boolean} [options.verify] Function called with the new value
+ * and `{ project, key, version }` after it is added. Unless it returns `true`, the rotation fails,
+ * the new version is disabled and the previous value is added again as the latest version.
+ * @param {boolean} [options.disablePrevious] Disable the previous version. Default: `false`.
+ * @param {number} [options.destroyAfter] Destroy the versions disabled by a previous rotation
+ * and replaced at least this number of seconds ago. Default: `null` (keep the versions).
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * - `format`: Format of the current value passed to the generator. Default: `string`.
+ * @returns {{version: number, previousVersion: number|null, destroyedVersions: number[], nextRotationTime: string|undefined}}
+ * Rotation result.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ * @throws {Error} If the verification fails.
+ */
+function rotate(key, generator, options = {}, config = {}) {
+    return init(config).rotate(key, generator, options);
+}
+
+/**
+ * List the secrets due for rotation: the secrets whose `rotation.nextRotationTime` has passed
+ * since they were rotated with `rotate` or created.
+ * @param {string} project Google Cloud Project ID.
+ * @returns {Object[]} Metadata of the secrets due for rotation.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function dueForRotation(project) {
+    return init().dueForRotation(project);
+}
+
+/**
+ * Point the version alias to the given version, e.g. to roll out a new version
+ * to the scripts getting the secret with `version: "@prod"`.
+ * @param {string} key Secret key.
+ * @param {string} alias Version alias, with or without `@`.
+ * @param {number|null} version Version number or `null` to remove the alias.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * @returns {Object<string, number>} Version numbers by alias after the update.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function setAlias(key, alias, version, config = {}) {
+    return init(config).setAlias(key, alias, version);
+}
+
+/**
+ * Get the version aliases of the secret.
+ * @param {string} key Secret key.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * @returns {Object<string, number>} Version numbers by alias.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ */
+function getAliases(key, config = {}) {
+    return init(config).getAliases(key);
+}
+
+/**
+ * Secret required by the manifest of `sync`. The other secret options, e.g. `annotations`,
+ * are used when the secret is created.
+ * @typedef {Object} GCSecretManagerManifestEntry
+ * @property {string} key Secret key.
+ * @property {Object<string, string>} labels Labels of the secret, replacing the current ones.
+ * Default: `undefined` (the labels are not synced).
+ * @property {Object|string|string[]} replication Replication policy of the new secret:
+ * the API object, `automatic` or the locations of the replicas, e.g. `europe-west1, europe-west4`.
+ * The replication of an existing secret cannot be changed, so differences are reported as drift.
+ * @property {string} placeholder Value added as a version if the secret has no enabled version.
+ * Default: `null` (the secret is reported in `missingValues`).
+ */
+
+/**
+ * @typedef {Object} GCSecretManagerSyncReport
+ * @property {string[]} created Secrets created.
+ * @property {string[]} updated Secrets whose labels are updated.
+ * @property {string[]} unchanged Secrets of the manifest that are not changed.
+ * @property {string[]} placeholders Secrets a placeholder version is added to.
+ * @property {string[]} missingValues Secrets of the manifest without an enabled version.
+ * @property {{key: string, field: string, expected: *, actual: *}[]} drift Differences
+ * that cannot be synced, e.g. of the replication.
+ * @property {string[]} unmanaged Secrets of the project that are not in the manifest.
+ * @property {string[]} pruned Unmanaged secrets whose enabled versions are disabled with `prune`.
+ * @property {Object<string, SecretManagerApiError>} errors Errors by key.
+ */
+
+/**
+ * Sync the secrets of the project with the manifest: create the missing secrets, update their
+ * labels and add the placeholder versions. Syncing the same manifest again changes nothing.
+ * With `dryRun`, the report lists the changes without making them.
+ * @param {GCSecretManagerManifestEntry[]|Object<string, GCSecretManagerManifestEntry>|string|GoogleAppsScript.Spreadsheet.Sheet} manifest
+ * Entries, entries by key, their JSON, or a sheet with a header row and the columns `key`,
+ * `labels` (e.g. `env=prod, team=ops`), `replication` and `placeholder`.
+ * @param {Object} [options] Sync options.
+ * @param {boolean} [options.prune] Disable the enabled versions of the secrets that are not
+ * in the manifest. Default: `false`.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * - `location`: Location of regional secrets. Default: `null` (global secrets).
+ * - `dryRun`: Report the changes without making them. Default: `false`.
+ * @returns {GCSecretManagerSyncReport} Changes, drift and errors.
+ * @throws {SecretManagerApiError} If the secrets cannot be listed.
+ * @throws {Error} If the manifest is invalid.
+ */
+function sync(manifest, options = {}, config = {}) {
+    return init(config).sync(manifest, options);
+}
+
+/**
+ * @typedef {Object} GCSecretManagerCopyOptions
+ * @property {string[]} keys Secret keys. Default: `null` (all secrets or the `filter` ones).
+ * @property {string} filter Filter expression of the secrets, e.g. `labels.env=prod`.
+ * Cannot be used with `keys`. Default: `null`.
+ * @property {string} versions `latest` to copy the latest enabled version or `all` to copy
+ * all enabled versions in order. Default: `latest`.
+ */
+
+/**
+ * @typedef {Object} GCSecretManagerCopyReport
+ * @property {Object<string, number[]>} copied Source versions copied by key, empty if the secret
+ * was copied before.
+ * @property {Object<string, SecretManagerApiError>} errors Errors by key.
+ */
+
+/**
+ * Copy the secrets from one project to another. New secrets get the labels of the source ones,
+ * and the versions are added in their order. The last copied version is stored in the annotations
+ * of the copies, so copying again resumes an interrupted copy and only adds the new versions.
+ * @param {GCSecretManagerCopyOptions & {from: string, to: string}} options Copy options with
+ * the source project `from` and the target project `to`.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `location`: Location of regional secrets. Default: `null` (global secrets).
+ * - `encryption`: Client-side encryption of the values. Default: `null` (disabled).
+ * - `dryRun`: Report the versions to copy without copying them. Default: `false`.
+ * @returns {GCSecretManagerCopyReport} Copied versions and errors by key.
+ * @throws {SecretManagerApiError} If the secrets cannot be listed.
+ * @throws {Error} If the options are invalid.
+ */
+function copySecrets(options = {}, config = {}) {
+    return init({ project: options.from, ...config }).copySecrets(options);
+}
+
+/**
+ * Export the secrets of the project to an encrypted JSON bundle, e.g. for backups.
+ * @param {GCSecretManagerCopyOptions & {encryption: GCSecretManagerEncryptionConfig}} [options]
+ * Export options with the `encryption` of the bundle. Default: the `encryption` option.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * - `location`: Location of regional secrets. Default: `null` (global secrets).
+ * - `encryption`: Client-side encryption of the values and the bundle. Default: `null`.
+ * @returns {string} Bundle.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ * @throws {Error} If the options are invalid or the encryption is not set.
+ */
+function exportSecrets(options = {}, config = {}) {
+    return init(config).exportSecrets(options);
+}
+
+/**
+ * Import the secrets of the bundle created by `exportSecrets` to the project, like `copySecrets`.
+ * @param {string} bundle Bundle.
+ * @param {{encryption: GCSecretManagerEncryptionConfig}} [options] Import options with
+ * the `encryption` of the bundle. Default: the `encryption` option.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * - `location`: Location of regional secrets. Default: `null` (global secrets).
+ * - `encryption`: Client-side encryption of the values and the bundle. Default: `null`.
+ * - `dryRun`: Report the versions to import without importing them. Default: `false`.
+ * @returns {GCSecretManagerCopyReport} Imported versions and errors by key.
+ * @throws {IntegrityError} If the bundle cannot be decrypted.
+ * @throws {Error} If the bundle is invalid or the encryption is not set.
+ */
+function importSecrets(bundle, options = {}, config = {}) {
+    return init(config).importSecrets(bundle, options);
+}
+
+/**
+ * Object with the interface of `PropertiesService` properties, storing them as secrets.
+ * @typedef {Object} GCSecretManagerPropertiesAdapter
+ * @property {function(string): ?string} getProperty Get the value of the property,
+ * `null` if it does not exist.
+ * @property {function(string, string): GCSecretManagerPropertiesAdapter} setProperty Set
+ * the value of the property.
+ * @property {function(): Object<string, string>} getProperties Get all properties.
+ * @property {function(Object<string, string>, boolean=): GCSecretManagerPropertiesAdapter} setProperties
+ * Set the properties and, if the second argument is `true`, delete all the other properties
+ * with the prefix. Deleting the others requires a prefix.
+ * @property {function(string): GCSecretManagerPropertiesAdapter} deleteProperty Delete
+ * the property, i.e. its secret.
+ */
+
+/**
+ * Create an adapter with the interface of `PropertiesService.getScriptProperties()`,
+ * storing each property as a secret. The values are strings like in `PropertiesService`.
+ * The characters not allowed in secret keys are encoded, e.g. `db.pass` is `db-2Epass`.
+ * @param {Object} [options] Adapter options.
+ * @param {string} [options.prefix] Prefix of the secret keys, e.g. `legacy-`. Default: `""`.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * - `ifChanged`: Skip writing the unchanged values. Default: `false`.
+ * - `cache`: Cache the values. Default: `null` (disabled).
+ * @returns {GCSecretManagerPropertiesAdapter} Adapter.
+ * @throws {Error} If the Google Cloud Project ID is not provided.
+ */
+function createPropertiesAdapter(options = {}, config = {}) {
+    return init(config).createPropertiesAdapter(options);
+}
+
+/**
+ * @typedef {Object} GCSecretManagerMigrationReport
+ * @property {string[]} migrated Properties stored as secrets and checked.
+ * @property {Object<string, Error>} errors Errors by property.
+ */
+
+/**
+ * Move the properties to the Secret Manager. Each value is read back from its secret
+ * and compared with the property before the property is deleted.
+ * @param {GoogleAppsScript.Properties.Properties|Object<string, string>} properties Properties,
+ * e.g. `PropertiesService.getScriptProperties()`, or values by property.
+ * @param {Object} [options] Migration options.
+ * @param {string} [options.prefix] Prefix of the secret keys, e.g. `legacy-`. Default: `""`.
+ * @param {string[]} [options.keys] Properties to migrate. Default: `null` (all properties).
+ * @param {boolean} [options.deleteAfter] Delete the migrated properties. Default: `false`.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * - `ifChanged`: Skip writing the values already migrated. Default: `false`.
+ * - `dryRun`: Report the properties to migrate without migrating them. Default: `false`.
+ * @returns {GCSecretManagerMigrationReport} Migrated properties and errors by property.
+ * @throws {Error} If `deleteAfter` is set without a `Properties` object.
+ */
+function migrateFromProperties(properties, options = {}, config = {}) {
+    return init(config).migrateFromProperties(properties, options);
+}
+
+/**
+ * @typedef {Object} GCSecretManagerResourceName
+ * @property {string} project Google Cloud Project ID.
+ * @property {string} location Location of a regional secret, `null` for global secrets.
+ * @property {string} key Secret key.
+ * @property {string} version Secret version, `null` if the name is of a secret.
+ */
+
+/**
+ * Parse the resource name of a secret or a secret version, e.g. `projects/p/secrets/s`
+ * or `projects/p/locations/europe-west1/secrets/s/versions/3`.
+ * @param {string} name Resource name.
+ * @returns {GCSecretManagerResourceName} Parts of the name.
+ * @throws {Error} If the name or its parts are invalid.
+ */
+function parseResourceName(name) {
+    const parts = matchResourceName_(name);
+    if (!parts) throw new Error(`Invalid resource name: ${name}`);
+    validateProject_(parts.project);
+    validateSecretId_(parts.key);
+    if (parts.location !== null) validateLocation_(parts.location);
+    if (parts.version !== null) getVersionId_(parts.version);
+    return parts;
+}
+
+/**
+ * Replace the secret references in the strings of the value, including nested arrays and objects,
+ * with the secret values. The references are:
+ * - the whole string in the URI form `sm://[project/]key[#version]`, e.g. `sm://my-project/db-password#3`,
+ * - the whole string in the resource name form `projects/p/secrets/s/versions/v`,
+ * - placeholders in any part of the string: `${secret:[project/]key[#version]}`.
+ * The project defaults to the configured one and the version to `latest`. The distinct secrets
+ * are requested in one batch. The references in the secret values are resolved too.
+ * @param {*} value String, array or object with secret references. It is not modified.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID of the references without a project.
+ * - `location`: Location of the references without a project. Default: `null` (global secrets).
+ * - `batchSize`: Maximum number of requests sent at once. Default: `50`.
+ * @returns {*} Copy of the value with the secret values.
+ * @throws {SecretNotFoundError} If a referenced secret does not exist.
+ * @throws {SecretManagerApiError} If the Secret Manager API returns an error.
+ * @throws {Error} If a reference is invalid or the references form a cycle.
+ */
+function resolve(value, config = {}) {
+    return init(config).resolve(value);
+}
+
+/**
+ * Remove the cached values of the given key.
+ * @param {string} key Secret key.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `project`: Google Cloud Project ID. Required.
+ * - `version`: Secret version. Default: `latest`.
+ * - `cache`: Cache configuration. Required.
+ * @returns {GCSecretManager} GCSecretManager instance.
+ */
+function invalidate(key, config = {}) {
+    return init(config).invalidate(key);
+}
+
+/**
+ * Remove all cached values.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * Supported options:
+ * - `cache`: Cache configuration. Required.
+ * @returns {GCSecretManager} GCSecretManager instance.
+ */
+function invalidateAll(config = {}) {
+    return init(config).invalidateAll();
+}
+
+/**
+ * Create the transport and codec to use the library in Node.js 18 or later.
+ * Each request, or batch of requests of `getMany` and `setMany`, is sent by a short-lived
+ * Node.js process, as the library is synchronous.
+ * @param {Object} [options] Options.
+ * @param {string|function(): string} [options.accessToken] Default access token or a function
+ * returning it. Default: the `GOOGLE_OAUTH_ACCESS_TOKEN` environment variable.
+ * @param {number} [options.timeout] Timeout of the requests in milliseconds. Default: `60000`.
+ * @returns {{transport: GCSecretManagerTransport, codec: GCSecretManagerCodec}} Options to pass
+ * to `init`, e.g. `init({ project, ...createNodeAdapter() })`.
+ */
+function createNodeAdapter({
+    accessToken = process.env.GOOGLE_OAUTH_ACCESS_TOKEN,
+    timeout = 60000,
+} = {}) {
+    const { execFileSync } = require("child_process");
+    const fetchAll = (requests) => {
+        let output;
+        try {
+            output = execFileSync(process.execPath, ["-e", NODE_FETCH_SCRIPT_], {
+                input: JSON.stringify(requests.map(toFetchRequest_)),
+                timeout,
+                maxBuffer: 64 * 1024 * 1024,
+                stdio: "pipe",
+            });
+        } catch (error) {
+            throw new Error(`Request failed: ${String(error.stderr || error.message).trim()}`);
+        }
+        return JSON.parse(output).map(({ status, headers, body }) => ({
+            getResponseCode: () => status,
+            getContentText: () => body,
+            getHeaders: () => headers,
+        }));
+    };
+
+    return {
+        transport: {
+            fetch: (url, params) => fetchAll([{ url, ...params }])[0],
+            fetchAll,
+            getOAuthToken: () => {
+                const token = typeof accessToken === "function" ? accessToken() : accessToken;
+                if (!token)
+                    throw new Error(
+                        "Access token is required in Node.js: set auth, the accessToken option " +
+                            "or the GOOGLE_OAUTH_ACCESS_TOKEN environment variable"
+                    );
+                return token;
+            },
+            sleep: (milliseconds) =>
+                Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, milliseconds),
+            // Script properties are read from the environment variables
+            getProperty: (name) => (name in process.env ? process.env[name] : null),
+        },
+        codec: createNodeCodec_(),
+    };
+}
+
+/**
+ * Create an in-memory fake of the Secret Manager API to unit test the scripts using the library
+ * without network. It keeps the secrets and their versions, resolves `latest` and version aliases,
+ * and returns the errors of the API, e.g. 404 for missing secrets, 409 for existing secrets
+ * and 400 for disabled and destroyed versions. Pass its `transport` and `codec` to `init`.
+ * @param {Object} [options] Options.
+ * @param {string[]} [options.projects] Projects the caller can access, the requests to the other
+ * projects fail with 403. Default: all projects.
+ * @param {GCSecretManagerCodec} [options.codec] Codec. Default: `Utilities` in Apps Script
+ * and the Node.js codec elsewhere.
+ * @returns {FakeSecretManager} Fake with `transport`, `codec`, `requests`, `injectFailure`
+ * and `reset`.
+ */
+function createFake({ projects = null, codec = null } = {}) {
+    return new FakeSecretManager(projects, codec);
+}
+
+/**
+ * Create hooks recording the reads, writes and errors: time, effective user, operation, project,
+ * location, key, version, outcome and error message, but never the secret values.
+ * The records are appended to a sheet or logged to `console` as JSON.
+ * @param {Object} [options] Options.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} [options.sheet] Sheet to append the records to,
+ * a header row is added to an empty sheet. Default: `null` (log to `console`).
+ * @param {string|function(): string} [options.user] Effective user or a function returning it.
+ * Default: the email of `Session.getEffectiveUser()`.
+ * @returns {GCSecretManagerHooks} Hooks to pass to `init`,
+ * e.g. `init({ project, hooks: createAuditLog() })`.
+ */
+function createAuditLog({ sheet = null, user = getEffectiveUserEmail_ } = {}) {
+    const getUser = typeof user === "function" ? user : () => user;
+    const record = (event) => {
+        const entry = {
+            timestamp: new Date(Date.now()).toISOString(),
+            user: getUser(),
+            operation: event.operation,
+            project: event.project,
+            location: event.location || null,
+            key: event.key || null,
+            version: event.version === undefined ? null : event.version,
+            outcome: event.outcome,
+            error: event.error ? describeError_(event.error) : null,
+        };
+        if (!sheet) {
+            console.log(JSON.stringify(entry));
+            return;
+        }
+        if (sheet.getLastRow() === 0) sheet.appendRow(AUDIT_LOG_COLUMNS_);
+        sheet.appendRow(
+            AUDIT_LOG_COLUMNS_.map((column) => (entry[column] === null ? "" : entry[column]))
+        );
+    };
+    return { onAccess: record, onWrite: record, onError: record };
+}
+
+class GCSecretManager {
+    constructor(config = DEFAULT_CONFIG) {
+        this.config_ = config;
+        this.cache_ = new Map();
+        this.cacheGeneration_ = null;
+        this.token_ = null;
+        this.fetchedData_ = new Set();
+        this.dataKeys_ = new Map();
+    }
+
+    setProject(project) {
+        this.config_.project = project;
+        return this;
+    }
+
+    setVersion(version) {
+        this.config_.version = version;
+        return this;
+    }
+
+    get(key, config = {}) {
+        return this.getWithSource(key, config).value;
+    }
+
+    getWithSource(name, config = {}) {
+        const { key, config: nameConfig } = applyResourceName_(name, config);
+        const mergedConfig = this.getConfig_(nameConfig);
+        const { project, version, location } = mergedConfig;
+        const event = { operation: "get", project, location, key, version };
+        const result = this.track_(event, () => this.getFromProjects_(key, mergedConfig));
+        this.emit_("onAccess", {
+            ...event,
+            project: result.project || project,
+            outcome: result.project ? "success" : "not_found",
+        });
+        return result;
+    }
+
+    getFromProjects_(key, mergedConfig) {
+        const { version, location } = mergedConfig;
+        const cacheConfig = this.getCacheConfig_(mergedConfig);
+        let notFoundError;
+        for (const project of getProjectChain_(mergedConfig)) {
+            const cacheKey = getCacheKeyPrefix_(project, location, key) + version;
+            // The cache keeps the raw data, so that it can be decoded in any format
+            let data = cacheConfig ? this.readCache_(cacheConfig, cacheKey) : undefined;
+            if (data === undefined) {
+                try {
+                    data = this.accessSecretVersion_(project, key, version, location);
+                } catch (error) {
+                    // Missing secrets are not cached so that they become visible as soon as they are created
+                    if (!(error instanceof SecretNotFoundError)) throw error;
+                    notFoundError = error;
+                    continue;
+                }
+                if (cacheConfig) this.writeCache_(cacheConfig, cacheKey, data);
+            }
+            const context = { project, key, version };
+            const value = this.decodeValue_(data, mergedConfig.format, context, mergedConfig.wrap);
+            return { value, project };
+        }
+        if (mergedConfig.throwIfMissing) throw notFoundError;
+        return { value: undefined, project: null };
+    }
+
+    set(name, value, config = {}) {
+        const { key, config: nameConfig } = applyResourceName_(name, config);
+        if (nameConfig.version !== config.version)
+            throw new Error(`Cannot set a secret version, use the name of the secret: ${name}`);
+        const mergedConfig = this.getConfig_(nameConfig);
+        const { project, location } = mergedConfig;
+        const event = { operation: "set", project, location, key, version: null };
+        if (mergedConfig.dryRun) {
+            return this.track_(event, () => {
+                const { plan, errors } = this.planSetValues_({ [key]: value }, mergedConfig, event);
+                if (errors[key]) throw errors[key];
+                return plan[key];
+            });
+        }
+        const changed = this.track_(event, () => this.setValue_(key, value, mergedConfig));
+        this.emit_("onWrite", { ...event, outcome: changed ? "success" : "unchanged" });
+        return changed;
+    }
+
+    setValue_(key, value, mergedConfig) {
+        const { project, location } = mergedConfig;
+        const context = { project, key };
+        if (mergedConfig.ifChanged) {
+            const [current] = this.readLatestForComparison_(project, [key], location);
+            if (current.error) throw current.error;
+            if (current.data && bytesEqual_(current.data, this.encodeBytes_(value))) return false;
+        }
+        const createSecretResponse = this.fetchRequest_(
+            this.createSecretRequest_(project, key, mergedConfig.secretOptions || {}, location)
+        );
+        if (![200, 409].includes(createSecretResponse.getResponseCode()))
+            throw createApiError_(createSecretResponse, "creating a new secret", context);
+        const createSecretVersionResponse = this.fetchRequest_(
+            this.createSecretVersionRequest_(project, key, value, location)
+        );
+        if (createSecretVersionResponse.getResponseCode() !== 200) {
+            throw createApiError_(
+                createSecretVersionResponse,
+                "creating a secret version",
+                context
+            );
+        }
+        if (this.getCacheConfig_(mergedConfig)) this.invalidate(key, mergedConfig);
+        return true;
+    }
+
+    invalidate(key, config = {}) {
+        return this.invalidateVersions_(key, [], config);
+    }
+
+    invalidateVersions_(key, versions, config) {
+        const mergedConfig = this.getConfig_(config);
+        const cacheConfig = this.getCacheConfig_(mergedConfig);
+        if (!cacheConfig) return this;
+
+        const prefix = getCacheKeyPrefix_(mergedConfig.project, mergedConfig.location, key);
+        // CacheService cannot list its keys, the versions that may be cached are removed by name
+        const cacheKeys = new Set(
+            ["latest", mergedConfig.version, ...versions].map((version) => `${prefix}${version}`)
+        );
+        for (const cacheKey of this.cache_.keys()) {
+            if (cacheKey.startsWith(prefix)) cacheKeys.add(cacheKey);
+        }
+        cacheKeys.forEach((cacheKey) => this.cache_.delete(cacheKey));
+        if (cacheConfig.cacheService) {
+            cacheConfig.cacheService.removeAll(
+                [...cacheKeys].map((cacheKey) => this.getCacheServiceKey_(cacheConfig, cacheKey))
+            );
+        }
+        return this;
+    }
+
+    invalidateAll(config = {}) {
+        const cacheConfig = this.getCacheConfig_({ ...DEFAULT_CONFIG, ...this.config_, ...config });
+        this.cache_.clear();
+        if (cacheConfig && cacheConfig.cacheService) {
+            // CacheService cannot list its keys, so all the entries are orphaned
+            // by switching to a new generation and expire on their own
+            this.cacheGeneration_ = this.getCodec_().getUuid();
+            cacheConfig.cacheService.put(
+                `${cacheConfig.prefix}:generation`,
+                this.cacheGeneration_,
+                MAX_CACHE_SERVICE_TTL
+            );
+        }
+        return this;
+    }
+
+    getSecret(project, name, version = "latest", format = "string") {
+        const { key, config } = applyResourceName_(name, {
+            project,
+            location: this.config_.location,
+            version,
+        });
+        ({ project, version } = config);
+        const location = config.location;
+        const event = { operation: "getSecret", project, location, key };
+        const value = this.track_({ ...event, version }, () => {
+            validateFormat_(format);
+            let data;
+            try {
+                data = this.accessSecretVersion_(project, key, version, location);
+            } catch (error) {
+                // Return undefined if no secret is found
+                if (error instanceof SecretNotFoundError) return undefined;
+                throw error;
+            }
+            const context = { project, key, version };
+            return this.decodeValue_(data, format, context, this.config_.wrap);
+        });
+        const outcome = value === undefined ? "not_found" : "success";
+        this.emit_("onAccess", { ...event, version, outcome });
+        return value;
+    }
+
+    createSecret(project, key, options = {}) {
+        if (this.config_.dryRun) {
+            const location = this.config_.location;
+            const event = { operation: "createSecret", project, location, key, version: null };
+            return this.plan_(event, () => {
+                buildSecretResource_(options, Boolean(location));
+                return this.getSecretMetadata(project, key) ? "unchanged" : "create";
+            });
+        }
+        const response = this.fetchRequest_(this.createSecretRequest_(project, key, options));
+        this.emitResponse_({ operation: "createSecret", project, key }, response, () =>
+            createApiError_(response, "creating a new secret", { project, key })
+        );
+        return response;
+    }
+
+    createSecretVersion(project, key, value) {
+        if (this.config_.dryRun) {
+            const location = this.config_.location;
+            const event = {
+                operation: "createSecretVersion",
+                project,
+                location,
+                key,
+                version: null,
+            };
+            return this.plan_(event, () => {
+                this.encodeBytes_(value);
+                this.getSecretForUpdate_(project, key, location, "creating a secret version");
+                return "addVersion";
+            });
+        }
+        const response = this.fetchRequest_(this.createSecretVersionRequest_(project, key, value));
+        this.emitResponse_({ operation: "createSecretVersion", project, key }, response, () =>
+            createApiError_(response, "creating a secret version", { project, key })
+        );
+        return response;
+    }
+
+    getMany(keys, config = {}) {
+        const mergedConfig = this.getConfig_(config);
+        const { project, version, location } = mergedConfig;
+        const event = { operation: "getMany", project, location, key: null, version };
+        const result = this.track_(event, () => this.getManyFromProjects_(keys, mergedConfig));
+        [...new Set(keys)].forEach((key) => {
+            const error = result.errors[key];
+            if (error) return this.emit_("onError", { ...event, key, outcome: "error", error });
+            this.emit_("onAccess", {
+                ...event,
+                key,
+                project: result.sources[key] || project,
+                outcome: key in result.sources ? "success" : "not_found",
+            });
+        });
+        return result;
+    }
+
+    getManyFromProjects_(keys, mergedConfig) {
+        const { version, location } = mergedConfig;
+        const cacheConfig = this.getCacheConfig_(mergedConfig);
+        validateFormat_(mergedConfig.format);
+        const values = {};
+        const errors = {};
+        const sources = {};
+        const data = {};
+        const notFoundErrors = {};
+        const codec = this.getCodec_();
+        // The secrets missing in a project are requested from the next one
+        let remainingKeys = [...new Set(keys)];
+        getProjectChain_(mergedConfig).forEach((project) => {
+            const keysToFetch = [];
+            remainingKeys.forEach((key) => {
+                const cached = cacheConfig
+                    ? this.readCache_(
+                          cacheConfig,
+                          getCacheKeyPrefix_(project, location, key) + version
+                      )
+                    : undefined;
+                if (cached === undefined) {
+                    keysToFetch.push(key);
+                } else {
+                    data[key] = cached;
+                    sources[key] = project;
+                }
+            });
+
+            const responses = this.fetchAll_(
+                keysToFetch.map((key) =>
+                    this.accessSecretVersionRequest_(project, key, version, location)
+                ),
+                mergedConfig.batchSize
+            );
+            remainingKeys = [];
+            responses.forEach((response, index) => {
+                const key = keysToFetch[index];
+                try {
+                    data[key] = parseAccessResponse_(response, { project, key, version }, codec);
+                } catch (error) {
+                    if (!(error instanceof SecretManagerApiError)) throw error;
+                    if (error instanceof SecretNotFoundError) {
+                        notFoundErrors[key] = error;
+                        remainingKeys.push(key);
+                    } else {
+                        errors[key] = error;
+                    }
+                    return;
+                }
+                sources[key] = project;
+                if (cacheConfig) {
+                    this.writeCache_(
+                        cacheConfig,
+                        getCacheKeyPrefix_(project, location, key) + version,
+                        data[key]
+                    );
+                }
+            });
+        });
+        remainingKeys.forEach((key) => {
+            if (mergedConfig.throwIfMissing) errors[key] = notFoundErrors[key];
+            else values[key] = undefined;
+        });
+
+        Object.keys(data).forEach((key) => {
+            try {
+                values[key] = this.decodeValue_(
+                    data[key],
+                    mergedConfig.format,
+                    { project: sources[key], key, version },
+                    mergedConfig.wrap
+                );
+            } catch (error) {
+                if (!(error instanceof SecretManagerApiError)) throw error;
+                errors[key] = error;
+                delete sources[key];
+            }
+        });
+        return { values, errors, sources };
+    }
+
+    setMany(values, config = {}) {
+        const mergedConfig = this.getConfig_(config);
+        const { project, location } = mergedConfig;
+        const event = { operation: "setMany", project, location, key: null, version: null };
+        if (mergedConfig.dryRun)
+            return this.track_(event, () => this.planSetValues_(values, mergedConfig, event));
+        const result = this.track_(event, () => this.setValues_(values, mergedConfig));
+        Object.keys(values).forEach((key) => {
+            const error = result.errors[key];
+            if (error) return this.emit_("onError", { ...event, key, outcome: "error", error });
+            if (result.unchanged.includes(key))
+                return this.emit_("onWrite", { ...event, key, outcome: "unchanged" });
+            const version = getVersionNumber_(result.versions[key]);
+            this.emit_("onWrite", { ...event, key, version, outcome: "success" });
+        });
+        return result;
+    }
+
+    setValues_(values, mergedConfig) {
+        const { project, location } = mergedConfig;
+        const versions = {};
+        const errors = {};
+        const unchanged = [];
+
+        let keys = Object.keys(values);
+        if (mergedConfig.ifChanged) {
+            const currents = this.readLatestForComparison_(project, keys, location, mergedConfig);
+            keys = keys.filter((key, index) => {
+                const { data, error } = currents[index];
+                if (error) errors[key] = error;
+                else if (data && bytesEqual_(data, this.encodeBytes_(values[key])))
+                    unchanged.push(key);
+                else return true;
+                return false;
+            });
+        }
+        const createSecretResponses = this.fetchAll_(
+            keys.map((key) =>
+                this.createSecretRequest_(project, key, mergedConfig.secretOptions || {}, location)
+            ),
+            mergedConfig.batchSize
+        );
+        const existingKeys = keys.filter((key, index) => {
+            const response = createSecretResponses[index];
+            if ([200, 409].includes(response.getResponseCode())) return true;
+            errors[key] = createApiError_(response, "creating a new secret", { project, key });
+            return false;
+        });
+
+        const createSecretVersionResponses = this.fetchAll_(
+            existingKeys.map((key) =>
+                this.createSecretVersionRequest_(project, key, values[key], location)
+            ),
+            mergedConfig.batchSize
+        );
+        createSecretVersionResponses.forEach((response, index) => {
+            const key = existingKeys[index];
+            try {
+                versions[key] = parseResponse_(response, "creating a secret version", {
+                    project,
+                    key,
+                }).name;
+            } catch (error) {
+                if (!(error instanceof SecretManagerApiError)) throw error;
+                errors[key] = error;
+                return;
+            }
+            if (this.getCacheConfig_(mergedConfig)) this.invalidate(key, mergedConfig);
+        });
+        return { versions, errors, unchanged };
+    }
+
+    planSetValues_(values, mergedConfig, event) {
+        const { project, location } = mergedConfig;
+        const plan = {};
+        const errors = {};
+        const keys = Object.keys(values);
+        buildSecretResource_(mergedConfig.secretOptions || {}, Boolean(location));
+        const secretResponses = this.fetchAll_(
+            keys.map((key) => ({ url: this.getSecretUrl_(project, key, location) })),
+            mergedConfig.batchSize
+        );
+        const currents = this.readLatestForComparison_(project, keys, location, mergedConfig);
+        keys.forEach((key, index) => {
+            const bytes = this.encodeBytes_(values[key]);
+            const response = secretResponses[index];
+            const exists = response.getResponseCode() !== 404;
+            try {
+                if (exists) parseResponse_(response, "getting secret metadata", { project, key });
+                if (currents[index].error) throw currents[index].error;
+            } catch (error) {
+                if (!(error instanceof SecretManagerApiError)) throw error;
+                errors[key] = error;
+                return;
+            }
+            const { data } = currents[index];
+            const changed = !(data && bytesEqual_(data, bytes));
+            let action = exists ? "addVersion" : "create";
+            if (mergedConfig.ifChanged && !changed) action = "unchanged";
+            plan[key] = { ...event, key, action, changed };
+        });
+        return { plan, errors };
+    }
+
+    listSecrets(project, options = {}) {
+        return this.fetchAllPages_(
+            this.getSecretsUrl_(project),
+            "secrets",
+            options,
+            "listing secrets",
+            { project }
+        );
+    }
+
+    getSecretMetadata(project, key) {
+        const response = this.fetch_(this.getSecretUrl_(project, key));
+        if (response.getResponseCode() === 404) return undefined;
+        return parseResponse_(response, "getting secret metadata", { project, key });
+    }
+
+    deleteSecret(project, key, { etag } = {}) {
+        const location = this.config_.location;
+        const event = { operation: "deleteSecret", project, location, key, version: null };
+        if (this.config_.dryRun) {
+            return this.plan_(event, () => {
+                this.getSecretForUpdate_(project, key, location, "deleting a secret");
+                return "delete";
+            });
+        }
+        this.write_(event, () => {
+            const versions = this.listCachedVersions_(project, key);
+            const query = etag ? `?${buildQuery_({ etag })}` : "";
+            const response = this.fetch_(`${this.getSecretUrl_(project, key)}${query}`, {
+                method: "DELETE",
+            });
+            parseResponse_(response, "deleting a secret", { project, key });
+            this.invalidateVersions_(key, versions, { project });
+        });
+    }
+
+    listCachedVersions_(project, key) {
+        const cacheConfig = this.getCacheConfig_(this.getConfig_({ project }));
+        // The versions are listed before they are deleted to remove them from CacheService
+        if (!cacheConfig || !cacheConfig.cacheService) return [];
+        try {
+            return this.listVersions(project, key).map(({ name }) => getVersionNumber_(name));
+        } catch (error) {
+            // The deletion reports the missing secret
+            if (error instanceof SecretNotFoundError) return [];
+            throw error;
+        }
+    }
+
+    listVersions(project, key, options = {}) {
+        return this.fetchAllPages_(
+            `${this.getSecretUrl_(project, key)}/versions`,
+            "versions",
+            options,
+            "listing secret versions",
+            { project, key }
+        );
+    }
+
+    disableVersion(project, key, version, { etag } = {}) {
+        return this.changeVersionState_(
+            project,
+            key,
+            version,
+            "disable",
+            "disabling a secret version",
+            etag
+        );
+    }
+
+    enableVersion(project, key, version, { etag } = {}) {
+        return this.changeVersionState_(
+            project,
+            key,
+            version,
+            "enable",
+            "enabling a secret version",
+            etag
+        );
+    }
+
+    destroyVersion(project, key, version, { etag } = {}) {
+        return this.changeVersionState_(
+            project,
+            key,
+            version,
+            "destroy",
+            "destroying a secret version",
+            etag
+        );
+    }
+
+    rotate(key, generator, options = {}) {
+        const { project, location, dryRun } = this.getConfig_({});
+        const event = { operation: "rotate", project, location, key, version: null };
+        if (dryRun) return this.plan_(event, () => this.rotateSecret_(key, generator, options));
+        const result = this.track_(event, () => this.rotateSecret_(key, generator, options));
+        this.emit_("onWrite", { ...event, version: result.version, outcome: "success" });
+        return result;
+    }
+
+    rotateSecret_(key, generator, { verify = null, disablePrevious = false, destroyAfter = null }) {
+        const { project } = this.getConfig_({});
+        if (typeof generator !== "function") throw new Error("Generator must be a function");
+        if (destroyAfter !== null && !(destroyAfter >= 0))
+            throw new Error("destroyAfter must be a number of seconds");
+        const secret = this.getSecretMetadata(project, key);
+        if (!secret) {
+            throw new SecretNotFoundError(
+                `Secret not found when rotating a secret (${project}/${key})`,
+                { httpStatus: 404, project, key }
+            );
+        }
+        // The generator is not called as it may have side effects, e.g. issuing a new API key
+        if (this.config_.dryRun) return "addVersion";
+
+        // Rotate the current value, not a cached one
+        this.invalidate(key);
+        const location = this.config_.location;
+        const event = { operation: "get", project, location, key, version: "latest" };
+        const { value: current, version: previousVersion } = this.track_(event, () =>
+            this.readCurrentVersion_(project, key)
+        );
+        this.emit_("onAccess", {
+            ...event,
+            outcome: previousVersion === null ? "not_found" : "success",
+        });
+        const value = generator(current, secret);
+        const created = parseResponse_(
+            this.createSecretVersion(project, key, value),
+            "creating a secret version",
+            { project, key }
+        );
+        this.invalidate(key);
+        const version = getVersionNumber_(created.name);
+
+        if (verify && verify(value, { project, key, version }) !== true) {
+            this.disableVersion(project, key, version);
+            // `latest` is the most recent version even if it is disabled,
+            // so the previous value is added again to keep it the latest one
+            let restoredVersion = null;
+            if (previousVersion) {
+                const previous = this.get(key, {
+                    version: previousVersion,
+                    projects: null,
+                    format: "bytes",
+                    wrap: false,
+                });
+                restoredVersion = getVersionNumber_(
+                    parseResponse_(
+                        this.createSecretVersion(project, key, previous),
+                        "creating a secret version",
+                        { project, key }
+                    ).name
+                );
+            }
+            this.invalidate(key);
+            throw new Error(
+                `Verification failed when rotating a secret (${project}/${key}/${version}), ` +
+                    "the new version is disabled" +
+                    (restoredVersion
+                        ? ` and the previous value is restored as version ${restoredVersion}`
+                        : "")
+            );
+        }
+        const annotations = { ...secret.annotations };
+        let rotatedVersions = (annotations[ROTATED_VERSIONS_ANNOTATION] || "")
+            .split(",")
+            .filter(Boolean)
+            .map(Number);
+        if (disablePrevious && previousVersion) {
+            this.disableVersion(project, key, previousVersion);
+            rotatedVersions.push(previousVersion);
+        }
+        let destroyedVersions = [];
+        if (destroyAfter !== null) {
+            destroyedVersions = this.destroyReplacedVersions_(
+                project,
+                key,
+                rotatedVersions,
+                destroyAfter
+            );
+            rotatedVersions = rotatedVersions.filter(
+                (number) => !destroyedVersions.includes(number)
+            );
+        }
+        if (rotatedVersions.length) {
+            annotations[ROTATED_VERSIONS_ANNOTATION] = rotatedVersions.join(",");
+        } else {
+            delete annotations[ROTATED_VERSIONS_ANNOTATION];
+        }
+        annotations[LAST_ROTATION_ANNOTATION] = new Date(Date.now()).toISOString();
+        this.updateSecret_(project, key, { annotations }, "annotations");
+        return {
+            version,
+            previousVersion,
+            destroyedVersions,
+            nextRotationTime: (secret.rotation || {}).nextRotationTime,
+        };
+    }
+
+    readCurrentVersion_(project, key) {
+        const context = { project, key, version: "latest" };
+        // Only the secret in `project` is rotated, without falling back to `projects`
+        const response = this.fetchRequest_(
+            this.accessSecretVersionRequest_(project, key, "latest")
+        );
+        if (response.getResponseCode() === 404) return { value: undefined, version: null };
+        const data = parseAccessResponse_(response, context, this.getCodec_());
+        const { format } = this.getConfig_({});
+        return {
+            value: this.decodeValue_(data, format, context, false),
+            version: getVersionNumber_(JSON.parse(response.getContentText()).name),
+        };
+    }
+
+    dueForRotation(project) {
+        const now = Date.now();
+        return this.listSecrets(project).filter((secret) => {
+            const { nextRotationTime, rotationPeriod } = secret.rotation || {};
+            if (!nextRotationTime) return false;
+            let scheduled = Date.parse(nextRotationTime);
+            // Secret Manager moves nextRotationTime forward by rotationPeriod once it is reached
+            if (scheduled > now && rotationPeriod) scheduled -= parseFloat(rotationPeriod) * 1000;
+            if (scheduled > now) return false;
+            const lastRotation =
+                (secret.annotations || {})[LAST_ROTATION_ANNOTATION] || secret.createTime;
+            return !(Date.parse(lastRotation) >= scheduled);
+        });
+    }
+
+    setAlias(key, alias, version, config = {}) {
+        const { project, location, dryRun } = this.getConfig_(config);
+        const aliasVersion = alias.startsWith("@") ? alias : `@${alias}`;
+        const event = { operation: "setAlias", project, location, key, version: aliasVersion };
+        if (dryRun)
+            return this.plan_(event, () => this.updateAlias_(key, aliasVersion, version, config));
+        return this.write_(event, () => this.updateAlias_(key, aliasVersion, version, config));
+    }
+
+    updateAlias_(key, alias, version, config) {
+        const { project, location, dryRun } = this.getConfig_(config);
+        const name = parseAlias_(alias);
+        if (version !== null && !(Number.isInteger(Number(version)) && Number(version) >= 1))
+            throw new Error(`Version alias "${name}" must point to a version number`);
+        const secret = this.getSecretForUpdate_(project, key, location, "updating version aliases");
+        const versionAliases = normalizeAliases_(secret.versionAliases);
+        const previousVersion = versionAliases[name];
+        if (version === null) delete versionAliases[name];
+        else versionAliases[name] = Number(version);
+        // The planned action is returned instead of the aliases
+        if (dryRun) return previousVersion === versionAliases[name] ? "unchanged" : "update";
+        const updated = this.updateSecret_(
+            project,
+            key,
+            { versionAliases, etag: secret.etag },
+            "versionAliases",
+            location
+        );
+        this.invalidate(key, { ...config, version: `@${name}` });
+        return normalizeAliases_(updated.versionAliases);
+    }
+
+    getAliases(key, config = {}) {
+        const { project, location } = this.getConfig_(config);
+        const secret = this.getSecretForUpdate_(project, key, location, "getting version aliases");
+        return normalizeAliases_(secret.versionAliases);
+    }
+
+    sync(manifest, { prune = false } = {}) {
+        const { project, location, dryRun } = this.getConfig_({});
+        const entries = parseManifest_(manifest);
+        // The whole manifest is validated before any change
+        entries.forEach(({ key, placeholder = null, ...options }) => {
+            validateSecretId_(key);
+            buildSecretResource_(options, Boolean(location));
+            if (placeholder !== null) this.encodeBytes_(placeholder);
+        });
+        const report = {
+            created: [],
+            updated: [],
+            unchanged: [],
+            placeholders: [],
+            missingValues: [],
+            drift: [],
+            unmanaged: [],
+            pruned: [],
+            errors: {},
+        };
+        const secrets = new Map(
+            this.listSecrets(project).map((secret) => [matchResourceName_(secret.name).key, secret])
+        );
+        const syncKey = (key, operation) => {
+            try {
+                operation();
+            } catch (error) {
+                if (!(error instanceof SecretManagerApiError)) throw error;
+                report.errors[key] = error;
+            }
+        };
+        entries.forEach((entry) =>
+            syncKey(entry.key, () => this.syncSecret_(entry, secrets.get(entry.key), report))
+        );
+
+        const keys = new Set(entries.map(({ key }) => key));
+        secrets.forEach((secret, key) => {
+            if (keys.has(key)) return;
+            report.unmanaged.push(key);
+            if (!prune) return;
+            syncKey(key, () => {
+                const enabled = this.listVersions(project, key).filter(
+                    ({ state }) => state === "ENABLED"
+                );
+                if (!enabled.length) return;
+                if (!dryRun) {
+                    enabled.forEach(({ name }) =>
+                        this.disableVersion(project, key, getVersionNumber_(name))
+                    );
+                }
+                report.pruned.push(key);
+            });
+        });
+        return report;
+    }
+
+    syncSecret_({ key, placeholder = null, ...options }, secret, report) {
+        const { project, location, dryRun } = this.getConfig_({});
+        const context = { project, key };
+        let changed = false;
+        if (!secret) {
+            if (!dryRun) {
+                parseResponse_(
+                    this.createSecret(project, key, options),
+                    "creating a new secret",
+                    context
+                );
+            }
+            report.created.push(key);
+            changed = true;
+        } else {
+            if (options.labels !== undefined && !labelsEqual_(options.labels, secret.labels)) {
+                if (!dryRun) {
+                    const event = { operation: "sync", project, location, key, version: null };
+                    this.write_(event, () =>
+                        this.updateSecret_(
+                            project,
+                            key,
+                            { labels: options.labels, etag: secret.etag },
+                            "labels",
+                            location
+                        )
+                    );
+                }
+                report.updated.push(key);
+                changed = true;
+            }
+            const expected = describeReplication_(options.replication);
+            const actual = describeReplication_(secret.replication);
+            if (expected !== null && expected !== actual)
+                report.drift.push({ key, field: "replication", expected, actual });
+        }
+
+        const hasValue =
+            Boolean(secret) &&
+            this.listVersions(project, key).some(({ state }) => state === "ENABLED");
+        if (!hasValue && placeholder === null) report.missingValues.push(key);
+        if (!hasValue && placeholder !== null) {
+            if (!dryRun) {
+                parseResponse_(
+                    this.createSecretVersion(project, key, placeholder),
+                    "creating a secret version",
+                    context
+                );
+            }
+            report.placeholders.push(key);
+            changed = true;
+        }
+        if (!changed) report.unchanged.push(key);
+    }
+
+    copySecrets({ from, to, keys = null, filter = null, versions = "latest" } = {}) {
+        if (!from || !to) throw new Error("Source and target projects are required");
+        if (from === to) throw new Error(`Cannot copy secrets to the same project: ${from}`);
+        validateCopyVersions_(versions);
+        const report = { copied: {}, errors: {} };
+        this.listSourceKeys_(from, keys, filter).forEach((key) =>
+            this.copySecret_(to, key, () => this.readSource_(from, key, versions), report)
+        );
+        return report;
+    }
+
+    exportSecrets({ keys = null, filter = null, versions = "latest", encryption } = {}) {
+        const { project, location } = this.getConfig_({});
+        const encryptionConfig = encryption || this.config_.encryption;
+        if (!encryptionConfig) throw new Error("Exporting secrets requires the encryption option");
+        validateCopyVersions_(versions);
+        const codec = this.getCodec_();
+        const secrets = this.listSourceKeys_(project, keys, filter).map((key) => {
+            const source = this.readSource_(project, key, versions);
+            return {
+                key,
+                labels: source.labels,
+                versions: source.versions.map(({ version, read }) => ({
+                    version,
+                    data: codec.base64Encode(read()),
+                })),
+            };
+        });
+        const data = this.encryptData_(
+            codec.stringToBytes(JSON.stringify({ secrets })),
+            encryptionConfig
+        );
+        return JSON.stringify({
+            gcsmBundle: BUNDLE_VERSION,
+            project,
+            location,
+            exportTime: new Date(Date.now()).toISOString(),
+            envelope: JSON.parse(codec.bytesToString(data)),
+        });
+    }
+
+    importSecrets(bundle, { encryption } = {}) {
+        const { project } = this.getConfig_({});
+        const encryptionConfig = encryption || this.config_.encryption;
+        if (!encryptionConfig) throw new Error("Importing secrets requires the encryption option");
+        const parsed = typeof bundle === "string" ? JSON.parse(bundle) : bundle;
+        if (!parsed || !parsed.envelope) throw new Error("Invalid bundle");
+        if (parsed.gcsmBundle !== BUNDLE_VERSION)
+            throw new Error(`Unsupported bundle format ${parsed.gcsmBundle}`);
+        const codec = this.getCodec_();
+        const context = { project: parsed.project, key: "bundle", version: parsed.exportTime };
+        const data = this.decryptData_(
+            codec.stringToBytes(JSON.stringify(parsed.envelope)),
+            context,
+            encryptionConfig
+        );
+        const report = { copied: {}, errors: {} };
+        JSON.parse(codec.bytesToString(data)).secrets.forEach(({ key, labels, versions }) => {
+            const source = {
+                project: parsed.project,
+                key,
+                labels,
+                versions: versions.map(({ version, data }) => ({
+                    version,
+                    read: () => codec.base64Decode(data),
+                })),
+            };
+            this.copySecret_(project, key, () => source, report);
+        });
+        return report;
+    }
+
+    createPropertiesAdapter({ prefix = "" } = {}) {
+        const { project } = this.getConfig_({});
+        // Properties are strings
+        const config = { format: "string" };
+        const toKey = (key) => validateSecretId_(`${prefix}${encodePropertyName_(key)}`);
+        const listKeys = () =>
+            this.listSecrets(project)
+                .map(({ name }) => matchResourceName_(name).key)
+                .filter((key) => key.startsWith(prefix))
+                .map((key) => decodePropertyName_(key.slice(prefix.length)))
+                // The secrets with names not made by `toKey` are not properties
+                .filter((key) => key !== null);
+        const throwFirstError = ({ errors }) => {
+            const [error] = Object.values(errors);
+            if (error) throw error;
+        };
+        const adapter = {
+            getProperty: (key) => {
+                const value = this.get(toKey(key), config);
+                return value === undefined ? null : value;
+            },
+            setProperty: (key, value) => {
+                this.set(toKey(key), String(value), config);
+                return adapter;
+            },
+            getProperties: () => {
+                const keys = listKeys();
+                const result = this.getMany(keys.map(toKey), config);
+                throwFirstError(result);
+                const properties = {};
+                keys.forEach((key) => {
+                    const value = result.values[toKey(key)];
+                    // Secrets without versions are not properties
+                    if (value !== undefined) properties[key] = value;
+                });
+                return properties;
+            },
+            setProperties: (properties, deleteAllOthers = false) => {
+                // Without a prefix, all the secrets of the project would be deleted
+                if (deleteAllOthers && !prefix)
+                    throw new Error("deleteAllOthers requires the prefix option");
+                const values = {};
+                Object.keys(properties).forEach((key) => {
+                    values[toKey(key)] = String(properties[key]);
+                });
+                throwFirstError(this.setMany(values, config));
+                if (deleteAllOthers) {
+                    listKeys()
+                        .filter((key) => !Object.prototype.hasOwnProperty.call(properties, key))
+                        .forEach((key) => adapter.deleteProperty(key));
+                }
+                return adapter;
+            },
+            deleteProperty: (key) => {
+                try {
+                    this.deleteSecret(project, toKey(key));
+                } catch (error) {
+                    // Like PropertiesService, deleting a missing property is not an error
+                    if (!(error instanceof SecretNotFoundError)) throw error;
+                }
+                return adapter;
+            },
+        };
+        return adapter;
+    }
+
+    migrateFromProperties(properties, { prefix = "", keys = null, deleteAfter = false } = {}) {
+        const { project, dryRun } = this.getConfig_({});
+        if (deleteAfter && typeof properties.deleteProperty !== "function")
+            throw new Error("deleteAfter requires a Properties object to delete the properties");
+        const all =
+            typeof properties.getProperties === "function"
+                ? properties.getProperties()
+                : properties;
+        const report = { migrated: [], errors: {} };
+        const secretKeys = {};
+        (keys || Object.keys(all)).forEach((key) => {
+            if (!Object.prototype.hasOwnProperty.call(all, key)) {
+                report.errors[key] = new Error(`Property not found: ${key}`);
+                return;
+            }
+            try {
+                secretKeys[key] = validateSecretId_(`${prefix}${encodePropertyName_(key)}`);
+            } catch (error) {
+                report.errors[key] = error;
+            }
+        });
+        const values = {};
+        Object.keys(secretKeys).forEach((key) => {
+            values[secretKeys[key]] = String(all[key]);
+        });
+
+        const written = this.setMany(values);
+        // The values are read back from the written versions, unless nothing is written
+        const readConfig = { version: "latest", projects: null, format: "string", wrap: false };
+        const read = dryRun
+            ? { values, errors: {} }
+            : this.getMany(Object.keys(values), readConfig);
+        Object.keys(secretKeys).forEach((key) => {
+            const secretKey = secretKeys[key];
+            const error = written.errors[secretKey] || read.errors[secretKey];
+            if (error) {
+                report.errors[key] = error;
+                return;
+            }
+            if (read.values[secretKey] !== values[secretKey]) {
+                report.errors[key] = new IntegrityError(
+                    `Secret value does not match the property after migrating (${project}/${secretKey})`,
+                    { project, key: secretKey }
+                );
+                return;
+            }
+            if (deleteAfter && !dryRun) properties.deleteProperty(key);
+            report.migrated.push(key);
+        });
+        return report;
+    }
+
+    listSourceKeys_(project, keys, filter) {
+        if (keys && filter) throw new Error("Either keys or filter can be set, not both");
+        if (keys) return keys.map((key) => validateSecretId_(key));
+        return this.listSecrets(project, filter ? { filter } : {}).map(
+            ({ name }) => matchResourceName_(name).key
+        );
+    }
+
+    readSource_(project, key, versions) {
+        const location = this.config_.location;
+        const secret = this.getSecretForUpdate_(project, key, location, "getting secret metadata");
+        let numbers = this.listVersions(project, key)
+            .filter(({ state }) => state === "ENABLED")
+            .map(({ name }) => getVersionNumber_(name))
+            .sort((a, b) => a - b);
+        if (versions === "latest") numbers = numbers.slice(-1);
+        const read = (version) => {
+            const value = this.getSecret(project, key, version, "bytes");
+            if (value === undefined) {
+                throw new SecretNotFoundError(
+                    `Secret version not found when copying a secret (${project}/${key}/${version})`,
+                    { httpStatus: 404, project, key, version }
+                );
+            }
+            return value instanceof SecretValue ? value.reveal() : value;
+        };
+        return {
+            project,
+            key,
+            labels: secret.labels || {},
+            versions: numbers.map((version) => ({ version, read: () => read(version) })),
+        };
+    }
+
+    copySecret_(project, key, readSource, report) {
+        try {
+            report.copied[key] = this.writeCopy_(project, readSource());
+        } catch (error) {
+            if (!(error instanceof SecretManagerApiError)) throw error;
+            report.errors[key] = error;
+        }
+    }
+
+    writeCopy_(project, source) {
+        const { location, dryRun } = this.config_;
+        const { key } = source;
+        const context = { project, key };
+        let secret = this.getSecretMetadata(project, key);
+        if (!secret && !dryRun) {
+            secret = parseResponse_(
+                this.createSecret(project, key, { labels: source.labels }),
+                "creating a new secret",
+                context
+            );
+        }
+        const sourceName = `projects/${source.project}/secrets/${key}`;
+        const copiedVersion = getCopiedVersion_(sourceName, (secret || {}).annotations);
+        const pending = source.versions.filter(({ version }) => version > copiedVersion);
+        if (dryRun) return pending.map(({ version }) => version);
+
+        let annotations = secret.annotations;
+        pending.forEach(({ version, read }) => {
+            parseResponse_(
+                this.createSecretVersion(project, key, read()),
+                "creating a secret version",
+                context
+            );
+            // Each copied version is recorded, so that an interrupted copy resumes after it
+            annotations = {
+                ...annotations,
+                [COPY_SOURCE_ANNOTATION]: `${sourceName}/versions/${version}`,
+            };
+            this.updateSecret_(project, key, { annotations }, "annotations", location);
+        });
+        return pending.map(({ version }) => version);
+    }
+
+    resolve(value, config = {}) {
+        const mergedConfig = { ...DEFAULT_CONFIG, ...this.config_, ...config };
+        const references = new Map();
+        const collect = (text) =>
+            findSecretReferences_(text, mergedConfig).forEach((reference) =>
+                references.set(reference.id, reference)
+            );
+        mapStrings_(value, collect);
+
+        // The secret values can have references too, request them until there are no new ones
+        const texts = new Map();
+        let pending = [...references.values()];
+        while (pending.length) {
+            const data = this.fetchReferences_(pending, mergedConfig);
+            pending.forEach((reference, index) => texts.set(reference.id, data[index]));
+            pending.forEach((reference) => collect(texts.get(reference.id)));
+            pending = [...references.values()].filter((reference) => !texts.has(reference.id));
+        }
+
+        const resolved = new Map();
+        const resolveReference = (id, chain) => {
+            if (chain.includes(id))
+                throw new Error(`Secret reference cycle: ${[...chain, id].join(" -> ")}`);
+            if (!resolved.has(id)) resolved.set(id, substitute(texts.get(id), [...chain, id]));
+            return resolved.get(id);
+        };
+        const substitute = (text, chain) =>
+            replaceSecretReferences_(text, mergedConfig, (reference) =>
+                resolveReference(reference.id, chain)
+            );
+        return mapStrings_(value, (text) => substitute(text, []));
+    }
+
+    fetchReferences_(references, config) {
+        const codec = this.getCodec_();
+        const cacheConfig = this.getCacheConfig_(config);
+        const cacheKey = ({ project, location, key, version }) =>
+            getCacheKeyPrefix_(project, location, key) + version;
+        const data = references.map((reference) =>
+            cacheConfig ? this.readCache_(cacheConfig, cacheKey(reference)) : undefined
+        );
+        const missing = references.filter((reference, index) => data[index] === undefined);
+        const responses = this.fetchAll_(
+            missing.map(({ project, key, version, location }) =>
+                this.accessSecretVersionRequest_(project, key, version, location)
+            ),
+            config.batchSize
+        );
+        responses.forEach((response, index) => {
+            const { project, key, version, location } = missing[index];
+            const event = { operation: "resolve", project, location, key, version };
+            const bytes = this.track_(event, () =>
+                parseAccessResponse_(response, { project, key, version }, codec)
+            );
+            data[references.indexOf(missing[index])] = bytes;
+            if (cacheConfig) this.writeCache_(cacheConfig, cacheKey(missing[index]), bytes);
+        });
+        references.forEach(({ project, key, version, location }) =>
+            this.emit_("onAccess", {
+                operation: "resolve",
+                project,
+                location,
+                key,
+                version,
+                outcome: "success",
+            })
+        );
+        return data.map((bytes, index) => {
+            const { project, key, version } = references[index];
+            const decrypted = this.decryptData_(bytes, { project, key, version });
+            this.fetchedData_.add(decrypted);
+            return codec.bytesToString(decrypted);
+        });
+    }
+
+    redact(text) {
+        const codec = this.getCodec_();
+        const values = new Set();
+        // The values are also redacted in the base64 form of the API responses
+        this.fetchedData_.forEach((data) => {
+            values.add(codec.bytesToString(data));
+            values.add(codec.base64Encode(data));
+        });
+        values.delete("");
+        // Longer values first, so that a value containing another one is redacted as a whole
+        return [...values]
+            .sort((a, b) => b.length - a.length)
+            .reduce((result, value) => result.split(value).join(REDACTED), String(text));
+    }
+
+    decodeValue_(data, format, context, wrap) {
+        data = this.decryptData_(data, context);
+        this.fetchedData_.add(data);
+        const value = decodeSecretValue_(data, format, context, this.getCodec_());
+        return wrap ? new SecretValue(value) : value;
+    }
+
+    emit_(hook, event) {
+        [].concat(this.config_.hooks || []).forEach((hooks) => {
+            if (typeof hooks[hook] === "function") hooks[hook](event);
+        });
+    }
+
+    track_(event, operation) {
+        try {
+            return operation();
+        } catch (error) {
+            this.emit_("onError", { ...event, outcome: "error", error });
+            throw error;
+        }
+    }
+
+    write_(event, operation) {
+        const result = this.track_(event, operation);
+        this.emit_("onWrite", { ...event, outcome: "success" });
+        return result;
+    }
+
+    plan_(event, operation) {
+        return this.track_(event, () => ({ ...event, action: operation() }));
+    }
+
+    emitResponse_(event, response, createError) {
+        const fullEvent = { location: this.config_.location, version: null, ...event };
+        if (response.getResponseCode() === 200) {
+            this.emit_("onWrite", { ...fullEvent, outcome: "success" });
+        } else {
+            this.emit_("onError", { ...fullEvent, outcome: "error", error: createError() });
+        }
+    }
+
+    getConfig_(config) {
+        const mergedConfig = { ...DEFAULT_CONFIG, ...this.config_, ...config };
+        if (!mergedConfig.project && mergedConfig.projects && mergedConfig.projects.length)
+            mergedConfig.project = mergedConfig.projects[0];
+        if (!mergedConfig.project) throw new Error("Google Cloud Project is required");
+        validateFormat_(mergedConfig.format);
+        if (!(Number.isInteger(mergedConfig.batchSize) && mergedConfig.batchSize >= 1))
+            throw new Error("batchSize must be an integer greater than or equal to 1");
+        return mergedConfig;
+    }
+
+    fetchRequest_({ url, ...options }) {
+        return this.fetch_(url, options);
+    }
+
+    fetch_(url, options = {}) {
+        const request = { url, ...options };
+        return this.sendWithRetry_([request], ([prepared]) => [
+            this.getTransport_().fetch(prepared.url, prepared.params),
+        ])[0];
+    }
+
+    fetchAll_(requests, batchSize = DEFAULT_CONFIG.batchSize) {
+        const responses = [];
+        for (let start = 0; start < requests.length; start += batchSize) {
+            const batch = requests.slice(start, start + batchSize);
+            responses.push(
+                ...this.sendWithRetry_(batch, (pending) =>
+                    this.getTransport_().fetchAll(
+                        pending.map(({ url, params }) => ({ url, ...params }))
+                    )
+                )
+            );
+        }
+        return responses;
+    }
+
+    sendWithRetry_(requests, send) {
+        const retryConfig = this.getRetryConfig_();
+        const accessToken = this.getAccessToken_();
+        const prepared = requests.map(({ url, method = "GET", payload, idempotent = true }) => {
+            const params = {
+                muteHttpExceptions: true,
+                headers: {
+                    Authorization: "Bearer " + accessToken,
+                    Accept: "application/json",
+                },
+            };
+            if (method !== "GET") params.method = method;
+            if (payload !== undefined) {
+                params.payload = JSON.stringify(payload);
+                params.contentType = "application/json";
+            }
+            this.emit_("onBeforeRequest", { url, params });
+            return { url, params, idempotent };
+        });
+
+        const responses = [];
+        let pending = prepared.map((request, index) => index);
+        for (let attempt = 1; pending.length; attempt++) {
+            const canRetry = (index) =>
+                retryConfig !== null &&
+                attempt < retryConfig.maxAttempts &&
+                (prepared[index].idempotent || retryConfig.retryNonIdempotent);
+            let batchResponses;
+            try {
+                batchResponses = send(pending.map((index) => prepared[index]));
+            } catch (error) {
+                // Network errors and timeouts are thrown even with muteHttpExceptions
+                if (!pending.every(canRetry)) throw error;
+                this.getTransport_().sleep(computeRetryDelay_(retryConfig, attempt));
+                continue;
+            }
+            const retried = [];
+            batchResponses.forEach((response, position) => {
+                const index = pending[position];
+                responses[index] = response;
+                if (
+                    canRetry(index) &&
+                    retryConfig.retryableStatusCodes.includes(response.getResponseCode())
+                )
+                    retried.push(index);
+            });
+            if (retried.length) {
+                this.getTransport_().sleep(
+                    Math.max(
+                        ...retried.map((index) =>
+                            computeRetryDelay_(retryConfig, attempt, responses[index])
+                        )
+                    )
+                );
+            }
+            pending = retried;
+        }
+        return responses;
+    }
+
+    fetchAllPages_(url, field, { filter, pageSize = 100 } = {}, action, context) {
+        const items = [];
+        let pageToken;
+        do {
+            const query = buildQuery_({ pageSize, filter, pageToken });
+            const page = parseResponse_(this.fetch_(`${url}?${query}`), action, context);
+            items.push(...(page[field] || []));
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+        return items;
+    }
+
+    getSecretForUpdate_(project, key, location, action) {
+        const response = this.fetch_(this.getSecretUrl_(project, key, location));
+        return parseResponse_(response, action, { project, key });
+    }
+
+    updateSecret_(project, key, secret, updateMask, location = this.config_.location) {
+        const response = this.fetch_(
+            `${this.getSecretUrl_(project, key, location)}?${buildQuery_({ updateMask })}`,
+            { method: "PATCH", payload: secret }
+        );
+        return parseResponse_(response, "updating a secret", { project, key });
+    }
+
+    destroyReplacedVersions_(project, key, rotatedVersions, destroyAfter) {
+        const destroyed = [];
+        // The versions are listed from the newest, each one replaced the next one in the list
+        const versions = this.listVersions(project, key);
+        versions.forEach((version, index) => {
+            if (index === 0 || version.state !== "DISABLED") return;
+            // The versions disabled by hand are kept
+            if (!rotatedVersions.includes(getVersionNumber_(version.name))) return;
+            const replacedAt = Date.parse(versions[index - 1].createTime);
+            if (Date.now() - replacedAt < destroyAfter * 1000) return;
+            const number = getVersionNumber_(version.name);
+            this.destroyVersion(project, key, number);
+            destroyed.push(number);
+        });
+        return destroyed;
+    }
+
+    changeVersionState_(project, key, version, action, description, etag) {
+        const location = this.config_.location;
+        const event = { operation: `${action}Version`, project, location, key, version };
+        if (this.config_.dryRun) {
+            return this.plan_(event, () => {
+                const { state } = parseResponse_(
+                    this.fetch_(this.getVersionUrl_(project, key, version)),
+                    description,
+                    { project, key, version }
+                );
+                if (state === VERSION_STATES_[action]) return "unchanged";
+                return action === "destroy" ? "delete" : "update";
+            });
+        }
+        return this.write_(event, () => {
+            const response = this.fetch_(
+                `${this.getVersionUrl_(project, key, version)}:${action}`,
+                { method: "POST", payload: etag ? { etag } : {} }
+            );
+            const result = parseResponse_(response, description, { project, key, version });
+            this.invalidateVersions_(key, [version], { project });
+            return result;
+        });
+    }
+
+    readLatestForComparison_(project, keys, location, config = {}) {
+        const codec = this.getCodec_();
+        const responses = this.fetchAll_(
+            keys.map((key) => this.accessSecretVersionRequest_(project, key, "latest", location)),
+            config.batchSize
+        );
+        return responses.map((response, index) => {
+            const context = { project, key: keys[index], version: "latest" };
+            try {
+                const data = parseAccessResponse_(response, context, codec);
+                return { data: this.decryptData_(data, context) };
+            } catch (error) {
+                if (!(error instanceof SecretManagerApiError)) throw error;
+                // A missing secret or a disabled latest version is never equal to the new value
+                const missing =
+                    error instanceof SecretNotFoundError ||
+                    error.grpcStatus === "FAILED_PRECONDITION";
+                return missing ? { data: null } : { error };
+            }
+        });
+    }
+
+    encodeBytes_(value) {
+        return encodeSecretValue_(value, this.getCodec_()).bytes;
+    }
+
+    accessSecretVersion_(project, key, version, location) {
+        const request = this.accessSecretVersionRequest_(project, key, version, location);
+        return parseAccessResponse_(
+            this.fetchRequest_(request),
+            { project, key, version },
+            this.getCodec_()
+        );
+    }
+
+    getSecretsUrl_(project, location = this.config_.location) {
+        const apiEndpoint = this.config_.apiEndpoint;
+        const apiUrl = apiEndpoint ? `${apiEndpoint.replace(/\/+$/, "")}/v1` : API_URL;
+        const projectPath = `projects/${encodeURIComponent(validateProject_(project))}`;
+        if (!location) return `${apiUrl}/${projectPath}/secrets`;
+        validateLocation_(location);
+        const regionalApiUrl = apiEndpoint ? apiUrl : getRegionalApiUrl_(location);
+        return `${regionalApiUrl}/${projectPath}/locations/${location}/secrets`;
+    }
+
+    getSecretUrl_(project, key, location = this.config_.location) {
+        const secretId = encodeURIComponent(validateSecretId_(key));
+        return `${this.getSecretsUrl_(project, location)}/${secretId}`;
+    }
+
+    getVersionUrl_(project, key, version, location = this.config_.location) {
+        const versionId = encodeURIComponent(getVersionId_(version));
+        return `${this.getSecretUrl_(project, key, location)}/versions/${versionId}`;
+    }
+
+    accessSecretVersionRequest_(project, key, version, location) {
+        return { url: `${this.getVersionUrl_(project, key, version, location)}:access` };
+    }
+
+    createSecretRequest_(project, key, options, location = this.config_.location) {
+        const payload = buildSecretResource_(options, Boolean(location));
+        return {
+            url: `${this.getSecretsUrl_(project, location)}?${buildQuery_({
+                secretId: validateSecretId_(key),
+            })}`,
+            method: "POST",
+            payload,
+        };
+    }
+
+    createSecretVersionRequest_(project, key, value, location) {
+        const codec = this.getCodec_();
+        let { data, bytes } = encodeSecretValue_(value, codec);
+        if (this.config_.encryption) data = bytes = this.encryptData_(bytes);
+        const payload = {
+            payload: {
+                data: codec.base64Encode(data),
+                // The API rejects the request if the data does not match the checksum
+                dataCrc32c: String(crc32c_(bytes)),
+            },
+        };
+        return {
+            url: `${this.getSecretUrl_(project, key, location)}:addVersion`,
+            method: "POST",
+            payload,
+            // Repeating the request would add a duplicate version
+            idempotent: false,
+        };
+    }
+
+    encryptData_(bytes, encryption = this.config_.encryption) {
+        const encryptionConfig = this.getEncryptionConfig_(encryption);
+        const codec = this.getCodec_();
+        // Two UUIDs make a random data key of 244 bits
+        const dataKey = codec.getUuid() + codec.getUuid();
+        const envelope = { gcsmEnvelope: ENVELOPE_VERSION };
+        if (encryptionConfig.kmsKeyName) {
+            envelope.kms = encryptionConfig.kmsKeyName;
+            envelope.key = this.fetchKms_(encryptionConfig.kmsKeyName, "encrypt", {
+                plaintext: codec.base64Encode(codec.stringToBytes(dataKey)),
+            }).ciphertext;
+        } else {
+            const key = this.getEncryptionKey_(encryptionConfig);
+            envelope.key = sealData_(codec.stringToBytes(dataKey), key, codec);
+        }
+        envelope.data = sealData_(bytes, dataKey, codec);
+        return codec.stringToBytes(JSON.stringify(envelope));
+    }
+
+    decryptData_(data, context, encryption = this.config_.encryption) {
+        const codec = this.getCodec_();
+        const envelope = parseEnvelope_(data, codec);
+        if (!envelope) return data;
+        const resource = `${context.project}/${context.key}/${context.version}`;
+        if (envelope.gcsmEnvelope !== ENVELOPE_VERSION)
+            throw new Error(`Unsupported encryption format ${envelope.gcsmEnvelope} (${resource})`);
+        const encryptionConfig = this.getEncryptionConfig_(encryption);
+        if (!encryptionConfig)
+            throw new Error(`The secret is encrypted, set the encryption option (${resource})`);
+
+        let dataKey;
+        if (envelope.kms) {
+            // The data keys decrypted by Cloud KMS are kept to not request them for each read
+            dataKey = this.dataKeys_.get(envelope.key);
+            if (dataKey === undefined) {
+                const { plaintext } = this.fetchKms_(
+                    envelope.kms,
+                    "decrypt",
+                    { ciphertext: envelope.key },
+                    context
+                );
+                dataKey = codec.bytesToString(codec.base64Decode(plaintext));
+                this.dataKeys_.set(envelope.key, dataKey);
+            }
+        } else {
+            const keys = encryptionConfig.previousKeys.map((key) =>
+                decodeEncryptionKey_(key, codec)
+            );
+            if (encryptionConfig.key || encryptionConfig.keyProperty)
+                keys.unshift(this.getEncryptionKey_(encryptionConfig));
+            // The envelope does not identify the key, only the right key opens the data key
+            let bytes;
+            for (const key of keys) {
+                bytes = openData_(envelope.key, key, codec);
+                if (bytes) break;
+            }
+            dataKey = bytes ? codec.bytesToString(bytes) : undefined;
+        }
+        const decrypted = dataKey && openData_(envelope.data, dataKey, codec);
+        if (!decrypted) {
+            throw new IntegrityError(
+                `Cannot decrypt a secret version (${resource}): ` +
+                    "it was encrypted with another key or tampered with",
+                context
+            );
+        }
+        return decrypted;
+    }
+
+    fetchKms_(kmsKeyName, action, payload, context = {}) {
+        const response = this.fetch_(`${KMS_API_URL}/${kmsKeyName}:${action}`, {
+            method: "POST",
+            payload,
+        });
+        return parseResponse_(response, `${action}ing a data key with Cloud KMS`, context);
+    }
+
+    getEncryptionConfig_(encryption = this.config_.encryption) {
+        if (!encryption) return null;
+        const encryptionConfig = { ...DEFAULT_ENCRYPTION_CONFIG, ...encryption };
+        const { kmsKeyName } = encryptionConfig;
+        const kmsKeyPattern =
+            /^projects\/[^/]+\/locations\/[^/]+\/keyRings\/[^/]+\/cryptoKeys\/[^/]+$/;
+        if (kmsKeyName && !kmsKeyPattern.test(kmsKeyName))
+            throw new Error(`Invalid Cloud KMS key name: ${kmsKeyName}`);
+        if (!kmsKeyName && !encryptionConfig.key && !encryptionConfig.keyProperty)
+            throw new Error("Encryption requires key, keyProperty or kmsKeyName");
+        return encryptionConfig;
+    }
+
+    getEncryptionKey_({ key, keyProperty }) {
+        if (!key && keyProperty) {
+            key = getProperty_(this.config_, keyProperty);
+            if (!key)
+                throw new Error(`Encryption key not found in the script property ${keyProperty}`);
+        }
+        return decodeEncryptionKey_(key, this.getCodec_());
+    }
+
+    getCacheConfig_(config) {
+        if (!config.cache) return null;
+        const cacheConfig = {
+            ...DEFAULT_CACHE_CONFIG,
+            ...(config.cache === true ? {} : config.cache),
+        };
+        if (cacheConfig.cacheService && !cacheConfig.encryptionKey)
+            throw new Error("Encryption key is required to store secrets in CacheService");
+        return cacheConfig;
+    }
+
+    getAccessToken_() {
+        const auth = this.config_.auth;
+        if (!auth) return this.getTransport_().getOAuthToken();
+        if (typeof auth !== "function")
+            return getServiceAccountToken_(auth, this.getTransport_(), this.getCodec_());
+
+        if (this.token_ && this.token_.expiresAt > Date.now()) return this.token_.accessToken;
+        const token = auth();
+        if (typeof token === "string") return token;
+        if (!token || typeof token.accessToken !== "string")
+            throw new Error("Auth function must return a token or { accessToken, expiresIn }");
+        if (token.expiresIn) {
+            this.token_ = {
+                accessToken: token.accessToken,
+                expiresAt: Date.now() + token.expiresIn * 1000 - TOKEN_EXPIRY_MARGIN,
+            };
+        }
+        return token.accessToken;
+    }
+
+    getTransport_() {
+        return { ...APPS_SCRIPT_TRANSPORT_, ...this.config_.transport };
+    }
+
+    getCodec_() {
+        return { ...APPS_SCRIPT_CODEC_, ...this.config_.codec };
+    }
+
+    getRetryConfig_() {
+        const retry = this.config_.retry;
+        if (!retry) return null;
+        const retryConfig = { ...DEFAULT_RETRY_CONFIG, ...(retry === true ? {} : retry) };
+        if (!(retryConfig.maxAttempts >= 1))
+            throw new Error("Retry maxAttempts must be a number greater than or equal to 1");
+        if (!(retryConfig.jitter >= 0 && retryConfig.jitter <= 1))
+            throw new Error("Retry jitter must be a number between 0 and 1");
+        return retryConfig;
+    }
+
+    getCacheServiceKey_(cacheConfig, cacheKey) {
+        if (this.cacheGeneration_ === null) {
+            this.cacheGeneration_ =
+                cacheConfig.cacheService.get(`${cacheConfig.prefix}:generation`) || "0";
+        }
+        return `${cacheConfig.prefix}:${this.cacheGeneration_}:${cacheKey}`;
+    }
+
+    readCache_(cacheConfig, cacheKey) {
+        const entry = this.cache_.get(cacheKey);
+        if (entry && entry.expiresAt > Date.now()) return entry.value;
+        this.cache_.delete(cacheKey);
+        if (!cacheConfig.cacheService) return undefined;
+
+        const encrypted = cacheConfig.cacheService.get(
+            this.getCacheServiceKey_(cacheConfig, cacheKey)
+        );
+        if (encrypted === null) return undefined;
+        const value = decryptCacheValue_(encrypted, cacheConfig.encryptionKey, this.getCodec_());
+        if (value !== undefined) {
+            this.cache_.set(cacheKey, { value, expiresAt: Date.now() + cacheConfig.ttl * 1000 });
+        }
+        return value;
+    }
+
+    writeCache_(cacheConfig, cacheKey, value) {
+        this.cache_.set(cacheKey, { value, expiresAt: Date.now() + cacheConfig.ttl * 1000 });
+        if (!cacheConfig.cacheService) return;
+        cacheConfig.cacheService.put(
+            this.getCacheServiceKey_(cacheConfig, cacheKey),
+            encryptCacheValue_(value, cacheConfig.encryptionKey, this.getCodec_()),
+            Math.min(cacheConfig.ttl, MAX_CACHE_SERVICE_TTL)
+        );
+    }
+}
+
+/**
+ * Base class of the errors returned by the Secret Manager API.
+ * Apps Script libraries do not expose classes, check `error.name` to tell the errors apart.
+ */
+class SecretManagerApiError extends Error {
+    /**
+     * @param {string} message Error message.
+     * @param {Object} details Error details.
+     * @param {number} details.httpStatus HTTP status code.
+     * @param {string} details.grpcStatus gRPC status, e.g. `NOT_FOUND`.
+     * @param {Object} details.errorBody Parsed error body returned by the API.
+     * @param {string} details.project Google Cloud Project ID.
+     * @param {string} details.key Secret key.
+     * @param {string|number} details.version Secret version.
+     */
+    constructor(message, { httpStatus, grpcStatus, errorBody, project, key, version } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.httpStatus = httpStatus;
+        this.grpcStatus = grpcStatus;
+        this.errorBody = errorBody;
+        this.project = project;
+        this.key = key;
+        this.version = version;
+    }
+}
+
+class SecretNotFoundError extends SecretManagerApiError {}
+
+class PermissionDeniedError extends SecretManagerApiError {}
+
+class QuotaExceededError extends SecretManagerApiError {}
+
+class InvalidArgumentError extends SecretManagerApiError {}
+
+class ConflictError extends SecretManagerApiError {}
+
+/**
+ * The secret value does not match its CRC32C checksum, i.e. it was corrupted or truncated.
+ */
+class IntegrityError extends SecretManagerApiError {}
+
+/**
+ * The secret value cannot be decoded in the requested format, e.g. it is not valid JSON.
+ */
+class SecretFormatError extends SecretManagerApiError {}
+
+/**
+ * Secret value hidden from logs: it is converted to `[REDACTED]` by `String()`, templates
+ * and `JSON.stringify()`. Call `reveal()` to get the value.
+ */
+class SecretValue {
+    constructor(value) {
+        SECRET_VALUES_.set(this, value);
+    }
+
+    reveal() {
+        return SECRET_VALUES_.get(this);
+    }
+
+    toString() {
+        return REDACTED;
+    }
+
+    toJSON() {
+        return REDACTED;
+    }
+
+    [Symbol.toPrimitive]() {
+        return REDACTED;
+    }
+
+    // Node.js console.log
+    [Symbol.for("nodejs.util.inspect.custom")]() {
+        return `SecretValue ${REDACTED}`;
+    }
+}
+
+class FakeSecretManager {
+    constructor(projects = null, codec = null) {
+        this.projects_ = projects;
+        this.codec =
+            codec || (typeof Utilities === "undefined" ? createNodeCodec_() : APPS_SCRIPT_CODEC_);
+        this.transport = {
+            fetch: (url, params = {}) => this.handle_(url, params),
+            fetchAll: (requests) => requests.map(({ url, ...params }) => this.handle_(url, params)),
+            getOAuthToken: () => "fake-token",
+            sleep: () => {},
+        };
+        this.reset();
+    }
+
+    reset() {
+        this.secrets_ = new Map();
+        this.failures_ = [];
+        this.requests = [];
+        this.etags_ = 0;
+        return this;
+    }
+
+    nextEtag_() {
+        // The API returns the etags in quotes
+        return `"${(++this.etags_).toString(16).padStart(14, "0")}"`;
+    }
+
+    injectFailure({
+        status = 500,
+        grpcStatus,
+        message = "Injected failure",
+        match,
+        method,
+        times = 1,
+        headers = {},
+        error,
+    } = {}) {
+        this.failures_.push({ status, grpcStatus, message, match, method, times, headers, error });
+        return this;
+    }
+
+    handle_(url, { method = "get", payload, headers = {} } = {}) {
+        method = method.toUpperCase();
+        let body = payload;
+        try {
+            body = typeof payload === "string" ? JSON.parse(payload) : payload;
+        } catch (e) {
+            // Keep the payload as is, e.g. form data
+        }
+        this.requests.push({ method, url, payload: body });
+
+        const failure = this.failures_.find(
+            (failure) =>
+                failure.times > 0 &&
+                (!failure.method || failure.method.toUpperCase() === method) &&
+                (!failure.match ||
+                    (failure.match instanceof RegExp
+                        ? failure.match.test(url)
+                        : url.includes(failure.match)))
+        );
+        if (failure) {
+            failure.times--;
+            if (failure.error) throw new Error(failure.error);
+            return fakeResponse_(
+                failure.status,
+                fakeErrorBody_(failure.status, failure.message, failure.grpcStatus),
+                failure.headers
+            );
+        }
+        if (!/^Bearer .+/.test(headers.Authorization || ""))
+            return fakeError_(401, "Request is missing a valid access token", "UNAUTHENTICATED");
+
+        const [path, query = ""] = url.split("?");
+        const params = {};
+        query
+            .split("&")
+            .filter(Boolean)
+            .forEach((pair) => {
+                const [name, value = ""] = pair.split("=");
+                params[decodeURIComponent(name)] = decodeURIComponent(value);
+            });
+        const match =
+            /\/v1\/(projects\/([^/]+)(?:\/locations\/([^/]+))?)\/secrets(?:\/([^/:]+)(\/versions(?:\/([^/:]+))?)?)?(?::(\w+))?$/.exec(
+                path
+            );
+        if (!match) return fakeError_(404, `Unknown URL: ${url}`);
+        const [, parent, project, location, key, versions, version, action] = match;
+        if (this.projects_ && !this.projects_.includes(project))
+            return fakeError_(403, `Permission denied on project ${project}`);
+
+        if (!key) {
+            if (method === "POST")
+                return this.createSecret_(parent, params.secretId, body, location);
+            if (method === "GET") return this.list_(this.listSecrets_(parent), "secrets", params);
+            return fakeError_(404, `Unsupported request: ${method} ${url}`);
+        }
+        const secret = this.secrets_.get(`${parent}/secrets/${key}`);
+        if (!secret) return fakeError_(404, `Secret [${parent}/secrets/${key}] not found.`);
+        if (!versions) {
+            if (action === "addVersion" && method === "POST") return this.addVersion_(secret, body);
+            if (!action && method === "GET") return fakeResponse_(200, secret.resource);
+            if (!action && method === "PATCH")
+                return this.updateSecret_(secret, body, params.updateMask);
+            if (!action && method === "DELETE") {
+                if (params.etag && params.etag !== secret.resource.etag) return fakeEtagError_();
+                this.secrets_.delete(secret.resource.name);
+                return fakeResponse_(200, {});
+            }
+        } else if (!version) {
+            if (method === "GET") {
+                // The API lists the newest versions first
+                const resources = secret.versions
+                    .slice()
+                    .reverse()
+                    .map(({ resource }) => resource);
+                return this.list_(resources, "versions", params);
+            }
+        } else {
+            const secretVersion = this.resolveVersion_(secret, version);
+            if (!secretVersion)
+                return fakeError_(
+                    404,
+                    `Secret Version [${secret.resource.name}/versions/${version}] not found.`
+                );
+            if (action === "access" && method === "GET") return this.access_(secretVersion);
+            if (["disable", "enable", "destroy"].includes(action) && method === "POST")
+                return this.changeState_(secretVersion, action, body);
+            if (!action && method === "GET") return fakeResponse_(200, secretVersion.resource);
+        }
+        return fakeError_(404, `Unsupported request: ${method} ${url}`);
+    }
+
+    listSecrets_(parent) {
+        return [...this.secrets_.values()]
+            .filter((secret) => secret.parent === parent)
+            .map((secret) => secret.resource);
+    }
+
+    list_(items, field, { pageSize = 25000, pageToken = "0", filter }) {
+        if (filter) return fakeError_(400, "Filters are not supported by the fake");
+        const start = Number(pageToken);
+        const page = {
+            [field]: items.slice(start, start + Number(pageSize)),
+            totalSize: items.length,
+        };
+        if (start + Number(pageSize) < items.length)
+            page.nextPageToken = String(start + Number(pageSize));
+        return fakeResponse_(200, page);
+    }
+
+    createSecret_(parent, secretId, body, location) {
+        if (!SECRET_ID_PATTERN.test(secretId || ""))
+            return fakeError_(400, `Invalid secret ID: ${secretId}`);
+        const name = `${parent}/secrets/${secretId}`;
+        if (this.secrets_.has(name)) return fakeError_(409, `Secret [${name}] already exists.`);
+        if (!location && !(body && body.replication))
+            return fakeError_(400, "Secret replication is required");
+        if (location && body && body.replication)
+            return fakeError_(400, "Regional secrets do not support replication");
+        const resource = {
+            ...body,
+            name,
+            createTime: new Date(Date.now()).toISOString(),
+            etag: this.nextEtag_(),
+        };
+        if (resource.versionAliases)
+            resource.versionAliases = normalizeFakeAliases_(resource.versionAliases);
+        this.secrets_.set(name, { parent, resource, versions: [] });
+        return fakeResponse_(200, resource);
+    }
+
+    updateSecret_(secret, body, updateMask = "") {
+        const fields = updateMask
+            .split(",")
+            .filter(Boolean)
+            .map((field) => field.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()));
+        if (!fields.length) return fakeError_(400, "updateMask is required");
+        if (body.etag && body.etag !== secret.resource.etag) return fakeEtagError_();
+        const unsupported = fields.find((field) => field.includes(".") || field === "name");
+        if (unsupported) return fakeError_(400, `Unsupported updateMask field: ${unsupported}`);
+        const aliases = (fields.includes("versionAliases") && body.versionAliases) || {};
+        const missing = Object.keys(aliases).find(
+            (alias) => !secret.versions[Number(aliases[alias]) - 1]
+        );
+        if (missing) return fakeError_(400, `Version alias ${missing} points to a missing version`);
+        fields.forEach((field) => {
+            if (body[field] === undefined) delete secret.resource[field];
+            else secret.resource[field] = body[field];
+        });
+        if (secret.resource.versionAliases)
+            secret.resource.versionAliases = normalizeFakeAliases_(secret.resource.versionAliases);
+        secret.resource.etag = this.nextEtag_();
+        return fakeResponse_(200, secret.resource);
+    }
+
+    addVersion_(secret, body) {
+        const payload = (body && body.payload) || {};
+        const data = this.codec.base64Decode(payload.data || "");
+        if (
+            payload.dataCrc32c !== undefined &&
+            String(crc32c_(data)) !== String(payload.dataCrc32c)
+        )
+            return fakeError_(400, "Checksum mismatch");
+        const resource = {
+            name: `${secret.resource.name}/versions/${secret.versions.length + 1}`,
+            createTime: new Date(Date.now()).toISOString(),
+            state: "ENABLED",
+            etag: this.nextEtag_(),
+        };
+        secret.versions.push({ resource, data: payload.data || "" });
+        return fakeResponse_(200, resource);
+    }
+
+    resolveVersion_(secret, version) {
+        // "latest" is the most recently created version, whatever its state
+        if (version === "latest") return secret.versions[secret.versions.length - 1];
+        const aliases = secret.resource.versionAliases || {};
+        const number = /^\d+$/.test(version) ? Number(version) : Number(aliases[version]);
+        return secret.versions[number - 1];
+    }
+
+    access_(secretVersion) {
+        const { resource, data } = secretVersion;
+        if (resource.state !== "ENABLED")
+            return fakeError_(
+                400,
+                `Secret Version [${resource.name}] is in ${resource.state} state.`,
+                "FAILED_PRECONDITION"
+            );
+        return fakeResponse_(200, {
+            name: resource.name,
+            payload: { data, dataCrc32c: String(crc32c_(this.codec.base64Decode(data))) },
+        });
+    }
+
+    changeState_(secretVersion, action, body) {
+        const { resource } = secretVersion;
+        if (body && body.etag && body.etag !== resource.etag) return fakeEtagError_();
+        if (resource.state === "DESTROYED")
+            return fakeError_(
+                400,
+                `Secret Version [${resource.name}] is in DESTROYED state.`,
+                "FAILED_PRECONDITION"
+            );
+        resource.state = { disable: "DISABLED", enable: "ENABLED", destroy: "DESTROYED" }[action];
+        resource.etag = this.nextEtag_();
+        if (action === "destroy") {
+            resource.destroyTime = new Date(Date.now()).toISOString();
+            secretVersion.data = "";
+        }
+        return fakeResponse_(200, resource);
+    }
+}
+
+/**
+ * Create an error matching the HTTP status of the Secret Manager API response.
+ * @param {UrlFetchApp.HTTPResponse} response HTTP response.
+ * @param {string} action Description of the request for the error message.
+ * @param {Object} [context] Project, key and version of the request.
+ * @returns {SecretManagerApiError} Error.
+ */
+function createApiError_(response, action, context = {}) {
+    const httpStatus = response.getResponseCode();
+    let errorBody = null;
+    try {
+        errorBody = JSON.parse(response.getContentText());
+    } catch (e) {
+        // The body is not always JSON, e.g. for errors returned by proxies
+    }
+    const error = (errorBody && errorBody.error) || {};
+    const [ErrorClass, title] = {
+        400: [InvalidArgumentError, "Invalid argument"],
+        403: [PermissionDeniedError, "Permission denied"],
+        404: [SecretNotFoundError, "Secret not found"],
+        409: [ConflictError, "Conflict"],
+        429: [QuotaExceededError, "Quota exceeded"],
+    }[error.status === "ABORTED" ? 409 : httpStatus] || [
+        SecretManagerApiError,
+        "Unexpected response code from the Secret Manager",
+    ];
+    const resource = [context.project, context.key, context.version]
+        .filter((part) => part !== undefined && part !== null)
+        .join("/");
+    const message =
+        `${title} when ${action}` +
+        (resource ? ` (${resource})` : "") +
+        `: ${httpStatus}` +
+        (error.status ? ` ${error.status}` : "") +
+        (error.message ? `. ${error.message}` : "");
+    return new ErrorClass(message, {
+        httpStatus,
+        grpcStatus: error.status,
+        errorBody,
+        ...context,
+    });
+}
+
+/**
+ * Parse the JSON body of a successful Secret Manager API response.
+ * @param {UrlFetchApp.HTTPResponse} response HTTP response.
+ * @param {string} action Description of the request for the error message.
+ * @param {Object} [context] Project, key and version of the request.
+ * @returns {Object} Parsed response body.
+ * @throws {SecretManagerApiError} If the response code is not 200.
+ */
+function parseResponse_(response, action, context = {}) {
+    if (response.getResponseCode() !== 200) throw createApiError_(response, action, context);
+    return JSON.parse(response.getContentText() || "{}");
+}
+
+/**
+ * Get the number of a secret version.
+ * @param {string} name Resource name of the version, e.g. `projects/p/secrets/s/versions/1`.
+ * @returns {number} Version number.
+ */
+function getVersionNumber_(name) {
+    return Number(name.split("/").pop());
+}
+
+/**
+ * Compute the delay before the next attempt: exponential backoff with jitter
+ * or the delay requested by the `Retry-After` header, limited by `maxDelay`.
+ * @param {GCSecretManagerRetryConfig} retryConfig Retry configuration.
+ * @param {number} attempt Number of the failed attempt, starting from 1.
+ * @param {UrlFetchApp.HTTPResponse} [response] HTTP response of the failed attempt.
+ * @returns {number} Delay in milliseconds.
+ */
+function computeRetryDelay_(retryConfig, attempt, response) {
+    const retryAfter = response ? parseRetryAfter_(response.getHeaders()) : null;
+    if (retryAfter !== null) return Math.min(retryAfter, retryConfig.maxDelay);
+    const delay = Math.min(retryConfig.maxDelay, retryConfig.baseDelay * 2 ** (attempt - 1));
+    return Math.round(delay * (1 - retryConfig.jitter * Math.random()));
+}
+
+function parseRetryAfter_(headers = {}) {
+    const name = Object.keys(headers).find((header) => header.toLowerCase() === "retry-after");
+    if (!name) return null;
+    const value = String(headers[name]).trim();
+    // The header contains either a number of seconds or an HTTP date
+    if (/^\d+$/.test(value)) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Validate the secret options and convert them to the Secret resource of the API.
+ * @param {GCSecretManagerSecretOptions} options Secret options.
+ * @param {boolean} [regional=false] Whether the secret is regional.
+ * @returns {Object} Secret resource.
+ * @throws {Error} If the options are invalid.
+ */
+function buildSecretResource_(options, regional = false) {
+    const invalid = (message) => new Error(`Invalid secret options: ${message}`);
+    if (typeof options !== "object" || options === null || Array.isArray(options))
+        throw invalid("options must be an object");
+    const {
+        replication = regional ? undefined : { automatic: {} },
+        labels,
+        annotations,
+        ttl,
+        expireTime,
+        topics,
+        rotation,
+        versionAliases,
+        ...unknown
+    } = options;
+    if (Object.keys(unknown).length)
+        throw invalid(`unknown options ${Object.keys(unknown).join(", ")}`);
+
+    // Regional secrets are stored only in their location
+    if (regional && replication !== undefined)
+        throw invalid("regional secrets do not support replication");
+    const secret = regional ? {} : { replication: validateReplication_(replication, invalid) };
+    if (labels !== undefined) {
+        const names = Object.keys(labels);
+        if (names.length > 64) throw invalid("at most 64 labels are allowed");
+        names.forEach((name) => {
+            if (!/^[\p{Ll}\p{Lo}][\p{Ll}\p{Lo}\p{N}_-]{0,62}$/u.test(name))
+                throw invalid(
+                    `label key "${name}" must start with a lowercase letter and contain up to 63 lowercase letters, digits, "_" or "-"`
+                );
+            if (!/^[\p{Ll}\p{Lo}\p{N}_-]{0,63}$/u.test(labels[name]))
+                throw invalid(
+                    `label value "${labels[name]}" must contain up to 63 lowercase letters, digits, "_" or "-"`
+                );
+        });
+        secret.labels = labels;
+    }
+    if (annotations !== undefined) {
+        let size = 0;
+        Object.keys(annotations).forEach((name) => {
+            if (!/^[a-zA-Z0-9]([a-zA-Z0-9._-]{0,61}[a-zA-Z0-9])?$/.test(name))
+                throw invalid(
+                    `annotation key "${name}" must contain up to 63 letters, digits, "_", "-" or ".", and start and end with a letter or digit`
+                );
+            if (typeof annotations[name] !== "string")
+                throw invalid(`annotation "${name}" must be a string`);
+            size += name.length + annotations[name].length;
+        });
+        if (size > 16384) throw invalid("annotations must not exceed 16 KiB");
+        secret.annotations = annotations;
+    }
+    if (ttl !== undefined && expireTime !== undefined)
+        throw invalid("ttl and expireTime cannot be used together");
+    if (ttl !== undefined) secret.ttl = normalizeDuration_(ttl, "ttl", invalid);
+    if (expireTime !== undefined)
+        secret.expireTime = normalizeTimestamp_(expireTime, "expireTime", invalid);
+    if (topics !== undefined) {
+        if (!Array.isArray(topics) || topics.length > 10)
+            throw invalid("topics must be an array of at most 10 topics");
+        secret.topics = topics.map((topic) => {
+            const name = typeof topic === "string" ? topic : topic && topic.name;
+            if (!/^projects\/[^/]+\/topics\/[^/]+$/.test(name))
+                throw invalid(`topic "${name}" must be in the format projects/*/topics/*`);
+            return { name };
+        });
+    }
+    if (rotation !== undefined) {
+        if (!secret.topics || !secret.topics.length)
+            throw invalid("rotation requires at least one topic");
+        const { nextRotationTime, rotationPeriod } = rotation;
+        secret.rotation = {};
+        if (nextRotationTime !== undefined)
+            secret.rotation.nextRotationTime = normalizeTimestamp_(
+                nextRotationTime,
+                "rotation.nextRotationTime",
+                invalid
+            );
+        if (rotationPeriod !== undefined) {
+            if (nextRotationTime === undefined)
+                throw invalid("rotation.rotationPeriod requires rotation.nextRotationTime");
+            secret.rotation.rotationPeriod = normalizeDuration_(
+                rotationPeriod,
+                "rotation.rotationPeriod",
+                invalid
+            );
+            const seconds = parseFloat(secret.rotation.rotationPeriod);
+            if (seconds < 3600 || seconds > 3153600000)
+                throw invalid("rotation.rotationPeriod must be between 1 hour and 100 years");
+        }
+    }
+    if (versionAliases !== undefined) {
+        const aliases = Object.keys(versionAliases);
+        if (aliases.length > 50) throw invalid("at most 50 version aliases are allowed");
+        aliases.forEach((alias) => {
+            if (!/^[a-zA-Z_-][a-zA-Z0-9_-]{0,62}$/.test(alias))
+                throw invalid(
+                    `version alias "${alias}" must contain up to 63 letters, digits, "_" or "-", and not start with a digit`
+                );
+            if (!Number.isInteger(Number(versionAliases[alias])) || versionAliases[alias] < 1)
+                throw invalid(`version alias "${alias}" must point to a version number`);
+        });
+        secret.versionAliases = versionAliases;
+    }
+    return secret;
+}
+
+function validateReplication_(replication, invalid) {
+    const policies = Object.keys(replication || {});
+    if (policies.length !== 1 || !["automatic", "userManaged"].includes(policies[0]))
+        throw invalid("replication must have either automatic or userManaged policy");
+    if (replication.userManaged) {
+        const replicas = replication.userManaged.replicas;
+        if (!Array.isArray(replicas) || !replicas.length)
+            throw invalid("userManaged replication requires at least one replica");
+        replicas.forEach((replica) => {
+            if (!replica.location || typeof replica.location !== "string")
+                throw invalid("each replica must have a location");
+            const kmsKeyName = (replica.customerManagedEncryption || {}).kmsKeyName;
+            if (kmsKeyName === undefined) return;
+            const match =
+                /^projects\/[^/]+\/locations\/([^/]+)\/keyRings\/[^/]+\/cryptoKeys\/[^/]+$/.exec(
+                    kmsKeyName
+                );
+            if (!match)
+                throw invalid(
+                    `KMS key "${kmsKeyName}" must be in the format projects/*/locations/*/keyRings/*/cryptoKeys/*`
+                );
+            // Cloud KMS keys of user-managed replicas must be in the same location as the replica
+            if (match[1] !== replica.location)
+                throw invalid(
+                    `KMS key "${kmsKeyName}" must be in the replica location ${replica.location}`
+                );
+        });
+    }
+    return replication;
+}
+
+function normalizeDuration_(duration, name, invalid) {
+    if (typeof duration === "number" && duration >= 0) return `${duration}s`;
+    if (typeof duration === "string" && /^\d+(\.\d{1,9})?s$/.test(duration)) return duration;
+    throw invalid(`${name} must be a number of seconds or a duration like "3600s"`);
+}
+
+function normalizeTimestamp_(timestamp, name, invalid) {
+    const date = timestamp instanceof Date ? timestamp : new Date(timestamp);
+    if (typeof timestamp === "number" || isNaN(date.getTime()))
+        throw invalid(`${name} must be a Date or an RFC 3339 timestamp`);
+    return timestamp instanceof Date ? timestamp.toISOString() : timestamp;
+}
+
+/**
+ * Get the secret data from the response of the `access` request.
+ * @param {UrlFetchApp.HTTPResponse} response HTTP response.
+ * @param {Object} context Project, key and version of the request.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {number[]} Secret data.
+ * @throws {SecretManagerApiError} If the response code is not 200.
+ * @throws {IntegrityError} If the data does not match its checksum.
+ */
+function parseAccessResponse_(response, context, codec) {
+    const body = parseResponse_(response, "accessing a secret version", context);
+    const decodedData = codec.base64Decode(body["payload"]["data"]);
+    const checksum = body["payload"]["dataCrc32c"];
+    if (checksum !== undefined && String(crc32c_(decodedData)) !== String(checksum)) {
+        throw new IntegrityError(
+            `Checksum mismatch when accessing a secret version (${context.project}/${context.key}/${context.version}): ` +
+                `expected ${checksum}, got ${crc32c_(decodedData)}`,
+            { httpStatus: response.getResponseCode(), ...context }
+        );
+    }
+    return decodedData;
+}
+
+/**
+ * Replace the secret references in the string.
+ * @param {string} text String with secret references.
+ * @param {GCSecretManagerConfig} config Configuration with the default project and location.
+ * @param {function(Object): string} replacer Function returning the value of the reference.
+ * @returns {string} String with the values.
+ * @throws {Error} If a reference is invalid.
+ */
+function replaceSecretReferences_(text, config, replacer) {
+    const reference = parseWholeSecretReference_(text, config);
+    if (reference) return replacer(reference);
+    return text.replace(/\$\{secret:([^}]*)\}/g, (placeholder, body) => {
+        const placeholderReference = parseSecretReference_(body, config);
+        if (!placeholderReference) throw new Error(`Invalid secret reference: ${placeholder}`);
+        return replacer(placeholderReference);
+    });
+}
+
+function findSecretReferences_(text, config) {
+    const references = [];
+    replaceSecretReferences_(text, config, (reference) => {
+        references.push(reference);
+        return "";
+    });
+    return references;
+}
+
+function parseWholeSecretReference_(text, config) {
+    if (text.startsWith("sm://")) {
+        const reference = parseSecretReference_(text.slice("sm://".length), config);
+        if (!reference) throw new Error(`Invalid secret reference: ${text}`);
+        return reference;
+    }
+    // Only the names of versions are references, the names of secrets can be used in configs as is
+    return /^projects\/[^/]+\/(locations\/[^/]+\/)?secrets\/[^/]+\/versions\/[^/]+$/.test(text)
+        ? parseSecretReference_(text, config)
+        : null;
+}
+
+/**
+ * Parse the secret reference: a version resource name or `[project/]key[#version]`.
+ * @param {string} reference Secret reference.
+ * @param {GCSecretManagerConfig} config Configuration with the default project and location.
+ * @returns {Object|null} Project, location, key, version and ID of the reference,
+ * or `null` if it is invalid.
+ * @throws {Error} If the reference has no project and there is no default project.
+ */
+function parseSecretReference_(reference, config) {
+    const parts = matchResourceName_(reference);
+    let { project, location, key, version } = parts || {};
+    if (parts && version === null) return null;
+    if (!parts) {
+        const match = /^(?:([^/#]+)\/)?([^/#]+)(?:#([^/#]+))?$/.exec(reference.trim());
+        if (!match) return null;
+        [project = config.project, key, version = "latest"] = match.slice(1);
+        location = config.location;
+        if (!project) throw new Error(`Google Cloud Project is required to resolve ${reference}`);
+    }
+    if (!SECRET_ID_PATTERN.test(key)) return null;
+    if (!PROJECT_ID_PATTERN.test(project) || !VERSION_PATTERN.test(version)) return null;
+    const id =
+        `projects/${project}/` +
+        (location ? `locations/${location}/` : "") +
+        `secrets/${key}/versions/${version}`;
+    return { project, location: location || null, key, version, id };
+}
+
+/**
+ * Apply the function to the strings of the value, including nested arrays and plain objects.
+ * @param {*} value Value.
+ * @param {function(string): *} fn Function.
+ * @param {Object[]} [ancestors] Arrays and objects containing the value.
+ * @returns {*} Copy of the value with the results of the function.
+ * @throws {Error} If the value contains itself.
+ */
+function mapStrings_(value, fn, ancestors = []) {
+    if (typeof value === "string") return fn(value);
+    if (value === null || typeof value !== "object") return value;
+    if (ancestors.includes(value))
+        throw new Error("Cannot resolve secret references in a circular structure");
+    if (Array.isArray(value))
+        return value.map((item) => mapStrings_(item, fn, [...ancestors, value]));
+    // Dates, Blobs and other instances are kept as is
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) return value;
+    const result = {};
+    Object.keys(value).forEach((name) => {
+        result[name] = mapStrings_(value[name], fn, [...ancestors, value]);
+    });
+    return result;
+}
+
+/**
+ * Get the version ID used in the API URLs: aliases are passed without `@`.
+ * @param {string|number} version Secret version: a number, `latest` or an alias, e.g. `@prod`.
+ * @returns {string} Version ID.
+ * @throws {Error} If the version or the alias is invalid.
+ */
+function getVersionId_(version) {
+    if (typeof version === "string" && version.startsWith("@")) return parseAlias_(version);
+    if (!VERSION_PATTERN.test(String(version)))
+        throw new Error(
+            `Invalid secret version "${version}": use a version number, "latest" or an alias`
+        );
+    return String(version);
+}
+
+/**
+ * Check the secret ID against the naming rules of the Secret Manager.
+ * @param {string} key Secret key.
+ * @returns {string} Secret key.
+ * @throws {Error} If the secret ID is invalid.
+ */
+function validateSecretId_(key) {
+    if (typeof key !== "string" || !SECRET_ID_PATTERN.test(key))
+        throw new Error(
+            `Invalid secret ID "${key}": it must contain 1 to 255 letters, digits, "_" or "-"`
+        );
+    return key;
+}
+
+/**
+ * Check the Google Cloud Project ID or number.
+ * @param {string} project Google Cloud Project ID.
+ * @returns {string} Google Cloud Project ID.
+ * @throws {Error} If the project ID is invalid.
+ */
+function validateProject_(project) {
+    if (!PROJECT_ID_PATTERN.test(String(project)))
+        throw new Error(`Invalid Google Cloud Project ID "${project}"`);
+    return String(project);
+}
+
+function validateLocation_(location) {
+    if (!/^[a-z0-9-]+$/.test(location)) throw new Error(`Invalid location: ${location}`);
+    return location;
+}
+
+/**
+ * Split the resource name, without validating the parts.
+ * @param {string} name Resource name.
+ * @returns {GCSecretManagerResourceName|null} Parts of the name or `null` if it does not match.
+ */
+function matchResourceName_(name) {
+    const match = RESOURCE_NAME_PATTERN.exec(name);
+    if (!match) return null;
+    const [project, location = null, key, version = null] = match.slice(1);
+    return { project, location, key, version };
+}
+
+/**
+ * Take the project, location and version of the key if it is a resource name.
+ * @param {string} name Secret key or resource name.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * @returns {{key: string, config: GCSecretManagerConfig}} Secret key and configuration.
+ * @throws {Error} If the resource name is invalid.
+ */
+function applyResourceName_(name, config) {
+    if (typeof name !== "string" || !name.startsWith("projects/")) return { key: name, config };
+    const { project, location, key, version } = parseResourceName(name);
+    // The secret is in the named project only, without falling back to the others
+    const nameConfig = { ...config, project, projects: null, location };
+    if (version !== null) nameConfig.version = version;
+    return { key, config: nameConfig };
+}
+
+function parseAlias_(alias) {
+    const name = alias.slice(1);
+    if (!/^[a-zA-Z_-][a-zA-Z0-9_-]{0,62}$/.test(name))
+        throw new Error(
+            `Invalid version alias "${alias}": it must contain up to 63 letters, digits, "_" or "-", and not start with a digit`
+        );
+    return name;
+}
+
+// The API returns the version numbers as strings
+function normalizeAliases_(versionAliases = {}) {
+    const aliases = {};
+    Object.keys(versionAliases).forEach((alias) => {
+        aliases[alias] = Number(versionAliases[alias]);
+    });
+    return aliases;
+}
+
+/**
+ * Read the entries of the `sync` manifest.
+ * @param {GCSecretManagerManifestEntry[]|Object<string, GCSecretManagerManifestEntry>|string|GoogleAppsScript.Spreadsheet.Sheet} manifest
+ * Manifest.
+ * @returns {GCSecretManagerManifestEntry[]} Entries with the replication as an API object.
+ * @throws {Error} If the manifest is invalid.
+ */
+function parseManifest_(manifest) {
+    if (typeof manifest === "string") manifest = JSON.parse(manifest);
+    if (typeof manifest !== "object" || manifest === null) throw new Error("Invalid manifest");
+    if (typeof manifest.getDataRange === "function") manifest = readManifestSheet_(manifest);
+    const entries = Array.isArray(manifest)
+        ? manifest
+        : Object.keys(manifest).map((key) => ({ key, ...manifest[key] }));
+    const keys = new Set();
+    return entries.map(({ replication, ...entry }) => {
+        if (keys.has(entry.key)) throw new Error(`Duplicate secret in the manifest: ${entry.key}`);
+        keys.add(entry.key);
+        if (replication === undefined) return entry;
+        return { ...entry, replication: normalizeReplication_(replication) };
+    });
+}
+
+/**
+ * Read the manifest entries from the rows of the sheet, skipping the rows without a key.
+ * The columns other than `key`, `labels`, `replication` and `placeholder` are ignored.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet Sheet with a header row.
+ * @returns {GCSecretManagerManifestEntry[]} Entries.
+ */
+function readManifestSheet_(sheet) {
+    const [header = [], ...rows] = sheet.getDataRange().getValues();
+    const columns = header.map((name) => String(name).trim().toLowerCase());
+    if (!columns.includes("key")) throw new Error("The manifest sheet must have a key column");
+    return rows
+        .map((row) => (name) => {
+            const index = columns.indexOf(name);
+            return index < 0 ? "" : String(row[index]).trim();
+        })
+        .filter((cell) => cell("key"))
+        .map((cell) => {
+            const entry = { key: cell("key") };
+            if (cell("labels")) entry.labels = parseLabels_(cell("labels"));
+            if (cell("replication")) entry.replication = cell("replication");
+            if (cell("placeholder")) entry.placeholder = cell("placeholder");
+            return entry;
+        });
+}
+
+function parseLabels_(text) {
+    if (text.startsWith("{")) return JSON.parse(text);
+    const labels = {};
+    text.split(",")
+        .map((pair) => pair.trim())
+        .filter(Boolean)
+        .forEach((pair) => {
+            const [name, value = ""] = pair.split("=").map((part) => part.trim());
+            labels[name] = value;
+        });
+    return labels;
+}
+
+function normalizeReplication_(replication) {
+    if (replication === "automatic") return { automatic: {} };
+    const locations =
+        typeof replication === "string"
+            ? replication.split(",").map((location) => location.trim())
+            : replication;
+    if (!Array.isArray(locations)) return replication;
+    const replicas = locations.filter(Boolean).map((location) => ({ location }));
+    return { userManaged: { replicas } };
+}
+
+/**
+ * Describe the replication policy to compare it: `automatic` or the sorted replica locations.
+ * @param {Object} replication Replication policy.
+ * @returns {string|null} Description or `null` if there is no replication.
+ */
+function describeReplication_(replication) {
+    if (!replication) return null;
+    if (replication.automatic) return "automatic";
+    return ((replication.userManaged || {}).replicas || [])
+        .map(({ location }) => location)
+        .sort()
+        .join(", ");
+}
+
+function validateCopyVersions_(versions) {
+    if (!["latest", "all"].includes(versions))
+        throw new Error(`Invalid versions "${versions}": use "latest" or "all"`);
+}
+
+/**
+ * Get the last version of the source secret copied to the secret.
+ * @param {string} sourceName Resource name of the source secret.
+ * @param {Object<string, string>} annotations Annotations of the copy.
+ * @returns {number} Version number, `0` if no version of the source secret was copied.
+ */
+function getCopiedVersion_(sourceName, annotations = {}) {
+    const copiedFrom = annotations[COPY_SOURCE_ANNOTATION] || "";
+    if (!copiedFrom.startsWith(`${sourceName}/versions/`)) return 0;
+    return getVersionNumber_(copiedFrom);
+}
+
+function labelsEqual_(labels, current = {}) {
+    const names = Object.keys(labels);
+    return (
+        names.length === Object.keys(current).length &&
+        names.every((name) => current[name] === String(labels[name]))
+    );
+}
+
+function validateFormat_(format) {
+    if (!SECRET_FORMATS.includes(format))
+        throw new Error(
+            `Unsupported secret format: ${format}. Supported formats: ${SECRET_FORMATS.join(", ")}`
+        );
+}
+
+/**
+ * Convert the secret value to the data to send to the Secret Manager.
+ * Strings are encoded as UTF-8 and plain objects as JSON.
+ * @param {string|number[]|Object|GoogleAppsScript.Base.Blob|SecretValue} value Secret value.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {{data: string|number[], bytes: number[]}} Data to encode in base64 and its bytes.
+ */
+function encodeSecretValue_(value, codec) {
+    if (value instanceof SecretValue) return encodeSecretValue_(value.reveal(), codec);
+    if (typeof value === "string") return { data: value, bytes: codec.stringToBytes(value) };
+    if (Array.isArray(value)) return { data: value, bytes: value };
+    if (value !== null && typeof value === "object") {
+        if (typeof value.getBytes === "function") {
+            const bytes = value.getBytes();
+            return { data: bytes, bytes };
+        }
+        return encodeSecretValue_(JSON.stringify(value), codec);
+    }
+    throw new Error(
+        `Unsupported secret value type: ${value === null ? "null" : typeof value}. ` +
+            "Use a string, a byte array, a Blob or a plain object"
+    );
+}
+
+/**
+ * Convert the secret data to the requested format.
+ * @param {number[]} data Secret data.
+ * @param {string} format Format: `string`, `bytes`, `json` or `blob`.
+ * @param {Object} context Project, key and version of the secret.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {string|number[]|Object|GoogleAppsScript.Base.Blob} Secret value.
+ * @throws {SecretFormatError} If the data is not valid JSON.
+ */
+function decodeSecretValue_(data, format, context, codec) {
+    if (format === "bytes") return data.slice();
+    if (format === "blob") return codec.newBlob(data);
+    const text = codec.bytesToString(data);
+    if (format !== "json") return text;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        // The parser messages may quote the value, only the position is kept
+        const position = /at position (\d+)/.exec(error.message);
+        throw new SecretFormatError(
+            `Secret value is not valid JSON (${context.project}/${context.key}/${context.version})` +
+                (position ? ` at position ${position[1]}` : ""),
+            context
+        );
+    }
+}
+
+let CRC32C_TABLE_ = null;
+
+/**
+ * Compute the CRC32C (Castagnoli) checksum used by the Secret Manager API.
+ * @param {number[]} bytes Data bytes.
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+function crc32c_(bytes) {
+    if (CRC32C_TABLE_ === null) {
+        CRC32C_TABLE_ = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0x82f63b78 ^ (c >>> 1) : c >>> 1;
+            CRC32C_TABLE_.push(c >>> 0);
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32C_TABLE_[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildQuery_(params) {
+    return Object.keys(params)
+        .filter((name) => params[name] !== undefined && params[name] !== null)
+        .map((name) => `${name}=${encodeURIComponent(params[name])}`)
+        .join("&");
+}
+
+/**
+ * Get an access token for the service account, exchanging a signed JWT for it
+ * if there is no valid token from the previous requests.
+ * See https://developers.google.com/identity/protocols/oauth2/service-account#httprest
+ * @param {Object|string} serviceAccountKey Service account key, as an object or a JSON string.
+ * @param {GCSecretManagerTransport} transport Transport.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {string} Access token.
+ * @throws {Error} If the key is invalid or the token cannot be obtained.
+ */
+function getServiceAccountToken_(serviceAccountKey, transport, codec) {
+    const key =
+        typeof serviceAccountKey === "string" ? JSON.parse(serviceAccountKey) : serviceAccountKey;
+    if (!key.client_email || !key.private_key)
+        throw new Error("Service account key must have client_email and private_key");
+    const cached = SERVICE_ACCOUNT_TOKENS_.get(key.client_email);
+    if (cached && cached.expiresAt > Date.now()) return cached.accessToken;
+
+    const tokenUri = key.token_uri || DEFAULT_TOKEN_URI;
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const encode = (data) => codec.base64EncodeWebSafe(data).replace(/=+$/, "");
+    const unsignedJwt = [
+        encode(JSON.stringify({ alg: "RS256", typ: "JWT" })),
+        encode(
+            JSON.stringify({
+                iss: key.client_email,
+                scope: OAUTH_SCOPE,
+                aud: tokenUri,
+                iat: issuedAt,
+                exp: issuedAt + 3600,
+            })
+        ),
+    ].join(".");
+    const signature = encode(codec.computeRsaSha256Signature(unsignedJwt, key.private_key));
+
+    const response = transport.fetch(tokenUri, {
+        method: "POST",
+        muteHttpExceptions: true,
+        payload: {
+            grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+            assertion: `${unsignedJwt}.${signature}`,
+        },
+    });
+    let body = {};
+    try {
+        body = JSON.parse(response.getContentText());
+    } catch (e) {
+        // Reported below as a failed request
+    }
+    if (response.getResponseCode() !== 200 || !body.access_token)
+        throw new Error(
+            `Failed to get an access token for ${key.client_email}: ${response.getResponseCode()}` +
+                (body.error ? ` ${body.error}` : "") +
+                (body.error_description ? `. ${body.error_description}` : "")
+        );
+    SERVICE_ACCOUNT_TOKENS_.set(key.client_email, {
+        accessToken: body.access_token,
+        expiresAt: Date.now() + body.expires_in * 1000 - TOKEN_EXPIRY_MARGIN,
+    });
+    return body.access_token;
+}
+
+/**
+ * Create the codec of the Node.js adapter.
+ * @returns {GCSecretManagerCodec} Codec.
+ */
+function createNodeCodec_() {
+    const crypto = require("crypto");
+    const toBuffer = (data) => Buffer.from(typeof data === "string" ? data : data || []);
+    // Apps Script bytes are signed, keep them in the [-128, 127] range
+    const toBytes = (buffer) => [...buffer].map((byte) => (byte << 24) >> 24);
+    return {
+        base64Encode: (data) => toBuffer(data).toString("base64"),
+        base64EncodeWebSafe: (data) =>
+            toBuffer(data).toString("base64").replace(/\+/g, "-").replace(/\//g, "_"),
+        base64Decode: (encoded) => toBytes(Buffer.from(encoded, "base64")),
+        stringToBytes: (text) => toBytes(Buffer.from(text, "utf8")),
+        bytesToString: (bytes) => toBuffer(bytes).toString("utf8"),
+        newBlob: (data) => {
+            const bytes = typeof data === "string" ? toBytes(Buffer.from(data, "utf8")) : data;
+            return {
+                getBytes: () => bytes.slice(),
+                getDataAsString: () => toBuffer(bytes).toString("utf8"),
+            };
+        },
+        computeHmacSha256Signature: (value, key) =>
+            toBytes(crypto.createHmac("sha256", toBuffer(key)).update(toBuffer(value)).digest()),
+        computeRsaSha256Signature: (value, key) =>
+            toBytes(crypto.createSign("RSA-SHA256").update(value).sign(key)),
+        getUuid: () => crypto.randomUUID(),
+    };
+}
+
+/**
+ * Convert `UrlFetchApp.fetch` parameters to the request sent with `fetch` by the Node.js adapter.
+ * @param {Object} request URL and `UrlFetchApp.fetch` parameters.
+ * @returns {Object} URL and `fetch` options.
+ */
+function toFetchRequest_({ url, method = "get", headers = {}, payload, contentType }) {
+    const request = { url, method: method.toUpperCase(), headers: { ...headers } };
+    if (payload !== undefined) {
+        // Like UrlFetchApp, objects are sent as form data
+        request.body = typeof payload === "string" ? payload : buildQuery_(payload);
+        request.headers["Content-Type"] = contentType || "application/x-www-form-urlencoded";
+    }
+    return request;
+}
+
+function fakeResponse_(status, body, headers = {}) {
+    return {
+        getResponseCode: () => status,
+        getContentText: () => JSON.stringify(body),
+        getHeaders: () => headers,
+    };
+}
+
+function fakeErrorBody_(status, message, grpcStatus) {
+    const defaultGrpcStatus = {
+        400: "INVALID_ARGUMENT",
+        401: "UNAUTHENTICATED",
+        403: "PERMISSION_DENIED",
+        404: "NOT_FOUND",
+        409: "ALREADY_EXISTS",
+        429: "RESOURCE_EXHAUSTED",
+        500: "INTERNAL",
+        503: "UNAVAILABLE",
+    }[status];
+    return {
+        error: { code: status, message, status: grpcStatus || defaultGrpcStatus || "UNKNOWN" },
+    };
+}
+
+// Like the API, return the version numbers of the aliases as strings
+function normalizeFakeAliases_(versionAliases) {
+    const aliases = {};
+    Object.keys(versionAliases).forEach((alias) => {
+        aliases[alias] = String(versionAliases[alias]);
+    });
+    return aliases;
+}
+
+function fakeError_(status, message, grpcStatus) {
+    return fakeResponse_(status, fakeErrorBody_(status, message, grpcStatus));
+}
+
+function fakeEtagError_() {
+    return fakeError_(409, "The etag does not match the current etag of the resource", "ABORTED");
+}
+
+function getRegionalApiUrl_(location) {
+    return `https://secretmanager.${location}.rep.googleapis.com/v1`;
+}
+
+/**
+ * Apply the active profile to the configuration.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * @returns {GCSecretManagerConfig} Configuration with the options of the profile.
+ * @throws {Error} If the profile is unknown.
+ */
+function applyProfile_(config) {
+    if (!config.profiles) return config;
+    let profile = config.profile;
+    if (!profile && config.profileProperty) profile = getProperty_(config, config.profileProperty);
+    if (!profile) return config;
+    if (!Object.prototype.hasOwnProperty.call(config.profiles, profile))
+        throw new Error(`Unknown profile: ${profile}`);
+    return { ...config, ...config.profiles[profile], profile };
+}
+
+/**
+ * Get a property from the `properties` option, or from the script properties of the transport.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * @param {string} name Property name.
+ * @returns {?string} Property value or `null` if it is not set.
+ */
+function getProperty_(config, name) {
+    const { properties } = config;
+    if (properties && typeof properties.getProperty === "function")
+        return properties.getProperty(name);
+    if (properties)
+        return Object.prototype.hasOwnProperty.call(properties, name) ? properties[name] : null;
+    return { ...APPS_SCRIPT_TRANSPORT_, ...config.transport }.getProperty(name);
+}
+
+/**
+ * Encode a property name as a secret key. The characters not allowed in the secret keys,
+ * e.g. `.` in `db.password`, and `-` are replaced by their UTF-8 bytes as `-XX`.
+ * @param {string} name Property name.
+ * @returns {string} Secret key, e.g. `db-2Epassword`.
+ */
+function encodePropertyName_(name) {
+    return String(name).replace(/[^a-zA-Z0-9_]/gu, (char) => {
+        const encoded = encodeURIComponent(char);
+        // encodeURIComponent keeps some ASCII characters, e.g. `.` and `-`
+        const bytes =
+            encoded === char ? `%${char.charCodeAt(0).toString(16).toUpperCase()}` : encoded;
+        return bytes.replace(/%/g, "-");
+    });
+}
+
+/**
+ * Decode a secret key encoded by `encodePropertyName_`.
+ * @param {string} key Secret key.
+ * @returns {?string} Property name or `null` if the key is not an encoded property name.
+ */
+function decodePropertyName_(key) {
+    if (!/^(?:[a-zA-Z0-9_]|-[0-9A-F]{2})*$/.test(key)) return null;
+    try {
+        return decodeURIComponent(key.replace(/-/g, "%"));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get the projects to look up the secrets in, in order.
+ * @param {GCSecretManagerConfig} config Configuration object.
+ * @returns {string[]} Project IDs.
+ */
+function getProjectChain_(config) {
+    return [...new Set([config.project, ...(config.projects || [])])];
+}
+
+/**
+ * Describe the error by its name and status only, as the messages of errors thrown
+ * by other code may contain secret values.
+ * @param {Error} error Error.
+ * @returns {string} Description, e.g. `SecretNotFoundError (404 NOT_FOUND)`.
+ */
+function describeError_(error) {
+    const status = [error.httpStatus, error.grpcStatus].filter(Boolean).join(" ");
+    return status ? `${error.name} (${status})` : error.name;
+}
+
+/**
+ * Get the email of the effective user in Apps Script.
+ * @returns {string} Email or `null` outside of Apps Script or without the `userinfo.email` scope.
+ */
+function getEffectiveUserEmail_() {
+    if (typeof Session === "undefined") return null;
+    return Session.getEffectiveUser().getEmail() || null;
+}
+
+function getCacheKeyPrefix_(project, location, key) {
+    return location ? `${project}/locations/${location}/${key}/` : `${project}/${key}/`;
+}
+
+/**
+ * Encrypt a value before storing it in CacheService.
+ * @param {number[]} data Secret data to encrypt.
+ * @param {string} key Encryption key.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {string} Serialized encrypted value.
+ */
+function encryptCacheValue_(data, key, codec) {
+    return JSON.stringify(sealData_(codec.newBlob(data).getBytes(), key, codec));
+}
+
+/**
+ * Decrypt a value stored in CacheService.
+ * @param {string} encrypted Serialized encrypted value.
+ * @param {string} key Encryption key.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {number[]|undefined} Decrypted secret data or `undefined` if it cannot be decrypted.
+ */
+function decryptCacheValue_(encrypted, key, codec) {
+    let parsed;
+    try {
+        parsed = JSON.parse(encrypted);
+    } catch (e) {
+        return undefined;
+    }
+    // A tampered value or a value encrypted with another key is treated as a cache miss
+    return openData_(parsed, key, codec);
+}
+
+/**
+ * Encrypt the data with the key.
+ * Apps Script has no built-in cipher, so the data is XORed with an HMAC-SHA256
+ * keystream derived from the key and a random nonce, and authenticated with an HMAC tag.
+ * @param {number[]} bytes Data to encrypt.
+ * @param {string|number[]} key Encryption key.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {{n: string, c: string, t: string}} Nonce, base64 encrypted data and base64 tag.
+ */
+function sealData_(bytes, key, codec) {
+    const nonce = codec.getUuid();
+    const cipher = xorKeystream_(bytes, key, nonce, codec);
+    return {
+        n: nonce,
+        c: codec.base64Encode(cipher),
+        t: codec.base64Encode(computeTag_(cipher, key, nonce, codec)),
+    };
+}
+
+/**
+ * Decrypt the data encrypted by `sealData_`.
+ * @param {{n: string, c: string, t: string}} sealed Encrypted data.
+ * @param {string|number[]} key Encryption key.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {number[]|undefined} Decrypted data or `undefined` if the tag does not match.
+ */
+function openData_(sealed, key, codec) {
+    if (!sealed || !sealed.c || !sealed.t) return undefined;
+    const cipher = codec.base64Decode(sealed.c);
+    const tag = computeTag_(cipher, key, sealed.n, codec);
+    if (!bytesEqual_(tag, codec.base64Decode(sealed.t))) return undefined;
+    return xorKeystream_(cipher, key, sealed.n, codec);
+}
+
+/**
+ * Decode a local encryption key. The key is used as is to encrypt the data keys,
+ * so it must be random to not be guessed from the encrypted values.
+ * @param {string} key Encryption key, at least 32 bytes encoded in base64.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {number[]} Key bytes.
+ * @throws {Error} If the key is not valid base64 or shorter than 32 bytes.
+ */
+function decodeEncryptionKey_(key, codec) {
+    const valid = typeof key === "string" && key.length % 4 === 0 && BASE64_PATTERN.test(key);
+    if (!valid || codec.base64Decode(key).length < 32)
+        throw new Error("Encryption key must be at least 32 random bytes encoded in base64");
+    return codec.base64Decode(key);
+}
+
+/**
+ * Parse the envelope of an encrypted secret value.
+ * @param {number[]} data Secret data.
+ * @param {GCSecretManagerCodec} codec Codec.
+ * @returns {Object|null} Envelope or `null` if the value is not encrypted.
+ */
+function parseEnvelope_(data, codec) {
+    // Only JSON objects can be envelopes, skip decoding the other values
+    if (data[0] !== 123) return null;
+    const text = codec.bytesToString(data);
+    if (!text.startsWith('{"gcsmEnvelope":')) return null;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+}
+
+function computeTag_(cipher, key, nonce, codec) {
+    return codec.computeHmacSha256Signature(
+        codec.stringToBytes(`tag:${nonce}`).concat(cipher),
+        getKeyBytes_(key, codec)
+    );
+}
+
+function getKeyBytes_(key, codec) {
+    return typeof key === "string" ? codec.stringToBytes(key) : key;
+}
+
+function bytesEqual_(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    // Compare the bytes as unsigned, they can come both signed and unsigned
+    for (let i = 0; i < a.length; i++) diff |= (a[i] ^ b[i]) & 0xff;
+    return diff === 0;
+}
+
+function xorKeystream_(bytes, key, nonce, codec) {
+    const keyBytes = getKeyBytes_(key, codec);
+    const result = [];
+    for (let block = 0; block * 32 < bytes.length; block++) {
+        const stream = codec.computeHmacSha256Signature(
+            codec.stringToBytes(`stream:${nonce}:${block}`),
+            keyBytes
+        );
+        for (let i = 0; i < 32 && block * 32 + i < bytes.length; i++) {
+            // Apps Script bytes are signed, keep them in the [-128, 127] range
+            result.push((((bytes[block * 32 + i] ^ stream[i]) & 0xff) << 24) >> 24);
+        }
     }
+    return result;
 }
 
 
@@ -236,11 +4120,47 @@ if (typeof module === "object") {
     module.exports = {
         init,
         get,
+        getWithSource,
         set,
         getSecret,
         createSecret,
         createSecretVersion,
         setProject,
         setVersion,
+        getMany,
+        setMany,
+        listSecrets,
+        getSecretMetadata,
+        deleteSecret,
+        listVersions,
+        disableVersion,
+        enableVersion,
+        destroyVersion,
+        rotate,
+        dueForRotation,
+        setAlias,
+        getAliases,
+        sync,
+        copySecrets,
+        exportSecrets,
+        importSecrets,
+        createPropertiesAdapter,
+        migrateFromProperties,
+        resolve,
+        parseResourceName,
+        invalidate,
+        invalidateAll,
+        createNodeAdapter,
+        createFake,
+        createAuditLog,
+        SecretManagerApiError,
+        SecretNotFoundError,
+        PermissionDeniedError,
+        QuotaExceededError,
+        InvalidArgumentError,
+        ConflictError,
+        IntegrityError,
+        SecretFormatError,
+        SecretValue,
     };
 }
@@ -0,0 +1,16 @@
+const createCache = () => {
+    const store = new Map();
+    return {
+        store,
+        get: jest.fn((key) => (store.has(key) ? store.get(key) : null)),
+        put: jest.fn((key, value) => store.set(key, value)),
+        removeAll: jest.fn((keys) => keys.forEach((key) => store.delete(key))),
+    };
+};
+
+const cacheServiceMock = {
+    createCache,
+    getScriptCache: jest.fn(() => createCache()),
+};
+
+module.exports = cacheServiceMock;
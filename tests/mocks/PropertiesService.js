@@ -0,0 +1,20 @@
+const createProperties = () => {
+    const store = new Map();
+    return {
+        store,
+        getProperty: jest.fn((key) => (store.has(key) ? store.get(key) : null)),
+        setProperty: jest.fn((key, value) => store.set(key, value)),
+        getProperties: jest.fn(() => Object.fromEntries(store)),
+        deleteProperty: jest.fn((key) => store.delete(key)),
+    };
+};
+
+const scriptProperties = createProperties();
+
+const propertiesServiceMock = {
+    createProperties,
+    scriptProperties,
+    getScriptProperties: jest.fn(() => scriptProperties),
+};
+
+module.exports = propertiesServiceMock;
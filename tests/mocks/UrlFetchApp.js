@@ -5,6 +5,12 @@ const urlFetchAppMock = {
       getResponseCode: () => 200,
     };
   }),
+  fetchAll: jest.fn((requests) =>
+    requests.map(({ url }) => ({
+      getContentText: () => `Mock response for URL: ${url}`,
+      getResponseCode: () => 200,
+    }))
+  ),
 };
 
-module.exports = urlFetchAppMock;
\ No newline at end of file
+module.exports = urlFetchAppMock;
@@ -1,7 +1,29 @@
+const crypto = require("crypto");
+
+const toSignedBytes = (buffer) => [...buffer].map((byte) => (byte << 24) >> 24);
+
 const Utilities = {
     base64Encode: jest.fn((val) => val),
     base64Decode: jest.fn((val) => val),
-    newBlob: jest.fn((decodedData) => ({ getDataAsString: () => decodedData })),
+    newBlob: jest.fn((decodedData) => ({
+        getDataAsString: () =>
+            Array.isArray(decodedData) ? Buffer.from(decodedData).toString("utf8") : decodedData,
+        getBytes: () =>
+            Array.isArray(decodedData) ? decodedData : toSignedBytes(Buffer.from(decodedData)),
+    })),
+    computeHmacSha256Signature: jest.fn((value, key) =>
+        toSignedBytes(
+            crypto.createHmac("sha256", Buffer.from(key)).update(Buffer.from(value)).digest()
+        )
+    ),
+    base64EncodeWebSafe: jest.fn((val) =>
+        Buffer.from(val).toString("base64").replace(/\+/g, "-").replace(/\//g, "_")
+    ),
+    computeRsaSha256Signature: jest.fn((value, key) =>
+        toSignedBytes(crypto.createSign("RSA-SHA256").update(value).sign(key))
+    ),
+    getUuid: jest.fn(() => crypto.randomUUID()),
+    sleep: jest.fn(),
 };
 
 module.exports = Utilities;